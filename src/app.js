@@ -6,14 +6,29 @@ import { Server as IOServer } from 'socket.io';
 import { config } from './config/index.js';
 import { requestLogger } from './middleware/requestLogger.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { authenticate, authenticateSocket } from './middleware/auth.js';
 import tokenRoutes from './routes/tokenRoutes.js';
 import translationRoutes from './routes/translationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
 import { setupSocketHandlers } from './socket/socketHandlers.js';
+import { startPalabraMockServer } from './mock/palabraMockServer.js';
+import palabraAgoraService from './services/palabraAgoraService.js';
+import palabraSessionService from './services/palabraSessionService.js';
+import palabraOAuthService from './services/palabraOAuthService.js';
+import persistenceService from './services/persistenceService.js';
+import tokenExpiryService from './services/tokenExpiryService.js';
+import channelPresenceService from './services/channelPresenceService.js';
+import translationService from './services/translationService.js';
+import captionService from './services/captionService.js';
+import transcriptService from './services/transcriptService.js';
+import webhookService from './services/webhookService.js';
 import logger from './utils/logger.js';
 
 class App {
   constructor() {
     this.app = express();
+    this.shuttingDown = false;
+    this.palabraMock = null;
     this.server = http.createServer(this.app);
     this.io = new IOServer(this.server, {
       cors: {
@@ -32,20 +47,43 @@ class App {
    * Setup Express middleware
    */
   setupMiddleware() {
+    // Refuse new requests once shutdown has started
+    this.app.use((req, res, next) => {
+      if (!this.shuttingDown) {
+        return next();
+      }
+      res.set('Connection', 'close');
+      res.status(503).json({
+        success: false,
+        error: 'Server is shutting down'
+      });
+    });
+
     // CORS
     this.app.use(cors({
       origin: config.cors.origin,
       credentials: config.cors.credentials
     }));
 
-    // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    // Body parsing (webhook bodies are also kept as received, for signature checks)
+    this.app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks/palabra')) {
+          req.rawBody = buf;
+        }
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
     // Request logging
     if (config.server.nodeEnv === 'development') {
       this.app.use(requestLogger);
     }
+
+    // Authentication (API key or JWT) for everything under /api except public paths;
+    // Palabra's webhooks are authenticated by their signature instead
+    this.app.use('/api', (req, res, next) => (req.path === '/webhooks/palabra' ? next() : authenticate(req, res, next)));
   }
 
   /**
@@ -55,6 +93,7 @@ class App {
     // API routes
     this.app.use('/api', tokenRoutes);
     this.app.use('/api/translation', translationRoutes);
+    this.app.use('/api/webhooks', webhookRoutes);
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -65,12 +104,24 @@ class App {
         endpoints: {
           token: '/api/token',
           health: '/api/health',
+          webhooks: {
+            palabra: '/api/webhooks/palabra',
+            subscriptions: '/api/webhooks/subscriptions',
+            deadLetters: '/api/webhooks/dead-letters'
+          },
           translation: {
             start: '/api/translation/sessions/start',
             stop: '/api/translation/sessions/:channel',
             status: '/api/translation/sessions/:channel/status',
             all: '/api/translation/sessions',
-            oauth: '/api/translation/oauth/status'
+            oauth: '/api/translation/oauth/status',
+            languages: '/api/translation/languages',
+            glossaries: '/api/translation/glossaries',
+            captions: '/api/translation/captions',
+            transcripts: '/api/translation/transcripts/:channel',
+            agoraTasks: '/api/translation/agora-tasks',
+            agoraChannelTasks: '/api/translation/agora-tasks/:channel',
+            agoraTaskLanguages: '/api/translation/agora-tasks/:channel/languages'
           }
         }
       });
@@ -84,6 +135,10 @@ class App {
    * Setup Socket.IO handlers
    */
   setupSocketHandlers() {
+    this.io.use((socket, next) => {
+      next(this.shuttingDown ? new Error('Server is shutting down') : undefined);
+    });
+    this.io.use(authenticateSocket);
     setupSocketHandlers(this.io);
   }
 
@@ -97,7 +152,15 @@ class App {
   /**
    * Start the server
    */
-  start() {
+  async start() {
+    // PALABRA_MOCK=in-process: serve the Palabra API from this process (config already points at it)
+    if (config.translation.mock.mode === 'in-process') {
+      this.palabraMock = await startPalabraMockServer();
+    }
+
+    // Reload persisted state before accepting requests and sockets that could act on it
+    await this.restoreState();
+
     this.server.listen(config.server.port, config.server.host, () => {
       logger.info('Server started successfully', {
         port: config.server.port,
@@ -108,29 +171,108 @@ class App {
           health: `http://${config.server.host}:${config.server.port}/api/health`
         }
       });
+
+      // Warm the supported-language list (the in-process mock is only up by now)
+      if (translationService.isAvailable()) {
+        translationService.refreshSupportedLanguages();
+      }
     });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => this.shutdown());
-    process.on('SIGINT', () => this.shutdown());
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+  }
+
+  /**
+   * Reload translation tasks and sessions persisted by a previous run
+   */
+  async restoreState() {
+    try {
+      await palabraAgoraService.restoreTasks();
+      await palabraSessionService.restoreSessions();
+      // Restored tasks emit no events; pick up their result streams now
+      captionService.syncStreams();
+    } catch (error) {
+      logger.error('Failed to restore persisted state', { error: error.message });
+    }
   }
 
   /**
    * Graceful shutdown
+   * Refuses new requests, sockets and translation work, tells connected clients, stops (or, with
+   * SHUTDOWN_TASK_ACTION=handoff and durable persistence, leaves running for the next instance)
+   * every Palabra task and session, clears background timers and closes the server.
+   * @param {string} [signal] - Signal that triggered the shutdown
    */
-  shutdown() {
-    logger.info('Shutting down server...');
-    
-    this.server.close(() => {
-      logger.info('Server closed successfully');
-      process.exit(0);
-    });
+  async shutdown(signal = null) {
+    if (this.shuttingDown) {
+      return;
+    }
+    this.shuttingDown = true;
+    const startedAt = Date.now();
 
-    // Force close after 10 seconds
+    // Force close if the sequence hangs
     setTimeout(() => {
-      logger.error('Forced shutdown after timeout');
+      logger.error('Forced shutdown after timeout', { timeout: config.shutdown.timeout });
       process.exit(1);
-    }, 10000);
+    }, config.shutdown.timeout).unref();
+
+    const handoff = config.shutdown.taskAction === 'handoff';
+    if (handoff && !persistenceService.isDurable()) {
+      logger.warn('SHUTDOWN_TASK_ACTION=handoff needs a durable PERSISTENCE_DRIVER; stopping tasks instead');
+    }
+    const taskAction = handoff && persistenceService.isDurable() ? 'handoff' : 'stop';
+
+    logger.info('Shutting down server...', { signal, taskAction });
+
+    palabraAgoraService.stopAcceptingTasks();
+    palabraSessionService.stopAcceptingSessions();
+
+    const sockets = this.io.of('/').sockets.size;
+    this.io.emit('server_shutting_down', {
+      reason: signal || 'shutdown',
+      taskAction,
+      timestamp: new Date().toISOString()
+    });
+
+    const summary = {
+      signal,
+      taskAction,
+      sockets,
+      tasks: { stopped: 0, failed: 0, handedOff: 0 },
+      sessions: { ended: 0, failed: 0, handedOff: 0 }
+    };
+
+    try {
+      if (taskAction === 'handoff') {
+        summary.tasks.handedOff = palabraAgoraService.activeTasks.size;
+        summary.sessions.handedOff = palabraSessionService.activeSessions.size;
+      } else {
+        Object.assign(summary.tasks, await palabraAgoraService.stopAllTasks());
+        Object.assign(summary.sessions, await palabraSessionService.endAllSessions());
+      }
+    } catch (error) {
+      logger.error('Failed to stop translation work during shutdown', { error: error.message });
+    }
+
+    palabraSessionService.stopSessionCleanup();
+    palabraOAuthService.stopBackgroundRefresh();
+    palabraAgoraService.stopTokenRenewal();
+    palabraAgoraService.stopStatusCheck();
+    tokenExpiryService.stopExpiryCheck();
+    channelPresenceService.stopIdleCheck();
+    translationService.stopLanguageRefresh();
+    captionService.stopStreamSync();
+
+    // Disconnects every socket and closes the HTTP server
+    await new Promise(resolve => this.io.close(() => resolve()));
+    await webhookService.stopDeliveries();
+    await this.palabraMock?.stop();
+    transcriptService.persistPending();
+    await persistenceService.flush();
+
+    logger.info('Server closed successfully', { ...summary, durationMs: Date.now() - startedAt });
+    process.exit(0);
   }
 }
 
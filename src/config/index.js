@@ -2,6 +2,14 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// PALABRA_MOCK: off | in-process (started by the app) | external (started with `npm run mock:palabra`)
+const palabraMockMode = process.env.PALABRA_MOCK || 'off';
+const palabraMockPort = parseInt(process.env.PALABRA_MOCK_PORT) || 8090;
+const palabraMockHost = process.env.PALABRA_MOCK_HOST || '127.0.0.1';
+const palabraMockUrl = palabraMockMode === 'off'
+  ? null
+  : (process.env.PALABRA_MOCK_URL || `http://${palabraMockHost}:${palabraMockPort}`);
+
 export const config = {
   server: {
     port: process.env.PORT || 8000,
@@ -16,21 +24,131 @@ export const config = {
     origin: process.env.CORS_ORIGIN || '*',
     credentials: process.env.CORS_CREDENTIALS === 'true'
   },
+  auth: {
+    enabled: process.env.AUTH_ENABLED === 'true',
+    apiKeys: process.env.AUTH_API_KEYS || '',
+    publicPaths: (process.env.AUTH_PUBLIC_PATHS || '/health').split(',').map(path => path.trim()).filter(Boolean),
+    jwt: {
+      secret: process.env.AUTH_JWT_SECRET,
+      issuer: process.env.AUTH_JWT_ISSUER,
+      audience: process.env.AUTH_JWT_AUDIENCE,
+      algorithms: (process.env.AUTH_JWT_ALGORITHMS || 'HS256').split(',').map(alg => alg.trim()),
+      clockToleranceSeconds: parseInt(process.env.AUTH_JWT_CLOCK_TOLERANCE) || 30
+    }
+  },
   token: {
     defaultExpireSeconds: parseInt(process.env.TOKEN_EXPIRE_SECONDS) || 3600,
-    defaultUidRange: parseInt(process.env.DEFAULT_UID_RANGE) || 100000
+    defaultUidRange: parseInt(process.env.DEFAULT_UID_RANGE) || 100000,
+    defaultRole: process.env.TOKEN_DEFAULT_ROLE || 'publisher',
+    expiryWarningSeconds: parseInt(process.env.TOKEN_EXPIRY_WARNING_SECONDS) || 120,
+    expiryCheckInterval: parseInt(process.env.TOKEN_EXPIRY_CHECK_INTERVAL) || 30000
+  },
+  policy: {
+    tenantPrefixes: process.env.CHANNEL_TENANT_PREFIXES || '',
+    hostAllowlist: (process.env.CHANNEL_HOST_ALLOWLIST || '').split(',').map(id => id.trim()).filter(Boolean),
+    hostRoles: (process.env.CHANNEL_HOST_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+    adminRoles: (process.env.CHANNEL_ADMIN_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+    maxParticipants: parseInt(process.env.CHANNEL_MAX_PARTICIPANTS) || 0 // 0 = unlimited
+  },
+  presence: {
+    idleStopEnabled: process.env.CHANNEL_IDLE_STOP !== 'false',
+    idleGracePeriod: parseInt(process.env.CHANNEL_IDLE_GRACE_PERIOD) || 60000, // 1 minute
+    idleCheckInterval: parseInt(process.env.CHANNEL_IDLE_CHECK_INTERVAL) || 15000
+  },
+  uid: {
+    userRangeStart: parseInt(process.env.USER_UID_RANGE_START) || 1,
+    userRangeEnd: parseInt(process.env.USER_UID_RANGE_END) || parseInt(process.env.DEFAULT_UID_RANGE) || 100000,
+    botRangeStart: parseInt(process.env.BOT_UID_RANGE_START) || 900000,
+    botRangeEnd: parseInt(process.env.BOT_UID_RANGE_END) || 999999,
+    maxAllocationAttempts: parseInt(process.env.UID_MAX_ALLOCATION_ATTEMPTS) || 20
+  },
+  shutdown: {
+    timeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 10000,
+    taskAction: process.env.SHUTDOWN_TASK_ACTION || 'stop' // stop | handoff
+  },
+  persistence: {
+    driver: process.env.PERSISTENCE_DRIVER || 'file', // memory | file
+    filePath: process.env.PERSISTENCE_FILE || './data/state.json',
+    secretKey: process.env.PERSISTENCE_SECRET_KEY || null, // encrypts webhook secrets at rest
+    orphanedTaskAction: process.env.PERSISTENCE_ORPHANED_TASK_ACTION || 'resume' // resume | stop
+  },
+  captions: {
+    // Where live caption text comes from: provider (the translation provider's result stream),
+    // http (pushed to POST /api/translation/captions, needs AUTH_ENABLED) or off
+    source: process.env.CAPTION_SOURCE || 'off',
+    streamSyncInterval: parseInt(process.env.CAPTION_STREAM_SYNC_INTERVAL) || 5000
+  },
+  transcripts: {
+    enabled: process.env.TRANSCRIPTS_ENABLED !== 'false',
+    retention: parseInt(process.env.TRANSCRIPT_RETENTION) || 86400000, // 24 hours after the last segment
+    maxSegmentsPerChannel: parseInt(process.env.TRANSCRIPT_MAX_SEGMENTS) || 10000,
+    // New segments are saved in batches: after this long, or once a channel has this many unsaved
+    persistInterval: parseInt(process.env.TRANSCRIPT_PERSIST_INTERVAL) || 10000, // 10 seconds
+    persistBatchSize: parseInt(process.env.TRANSCRIPT_PERSIST_BATCH_SIZE) || 50
+  },
+  webhooks: {
+    // Task events Palabra posts to POST /api/webhooks/palabra
+    palabra: {
+      secret: process.env.PALABRA_WEBHOOK_SECRET,
+      tolerance: parseInt(process.env.PALABRA_WEBHOOK_TOLERANCE) || 300 // seconds
+    },
+    // Lifecycle events we post to subscribed URLs
+    delivery: {
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 5000,
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 1000, // doubled after each failed attempt
+      retryMaxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 60000,
+      maxDeadLetters: parseInt(process.env.WEBHOOK_MAX_DEAD_LETTERS) || 1000,
+      // Loopback, private and link-local targets are refused unless allowed (local development)
+      allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+    }
   },
   translation: {
-    apiKey: process.env.PALABRA_API_KEY,
-    apiUrl: process.env.PALABRA_API_URL || 'https://api.palabra.ai',//'https://api.palabra.com',
+    // Backend for text translation, sessions and Agora tasks: palabra | mock
+    provider: process.env.TRANSLATION_PROVIDER || 'palabra',
+    apiKey: process.env.PALABRA_API_KEY || (palabraMockUrl ? 'mock-api-key' : undefined),
+    apiUrl: palabraMockUrl || process.env.PALABRA_API_URL || 'https://api.palabra.ai',//'https://api.palabra.com',
     defaultSourceLang: process.env.PALABRA_DEFAULT_SOURCE_LANG || 'en',
     defaultTargetLang: process.env.PALABRA_DEFAULT_TARGET_LANG || 'es',
     timeout: parseInt(process.env.PALABRA_TIMEOUT) || 10000,
+    // Text translation results, keyed by (text, source, target)
+    cache: {
+      enabled: process.env.TRANSLATION_CACHE_ENABLED !== 'false',
+      maxEntries: parseInt(process.env.TRANSLATION_CACHE_MAX_ENTRIES) || 1000,
+      ttl: parseInt(process.env.TRANSLATION_CACHE_TTL) || 3600000 // 1 hour
+    },
+    languageRefreshInterval: parseInt(process.env.TRANSLATION_LANGUAGES_REFRESH_INTERVAL) || 21600000, // 6 hours
+    // Result stream of an Agora task; {taskId} is substituted (default: derived from apiUrl)
+    captionStreamUrl: palabraMockUrl ? undefined : process.env.PALABRA_CAPTION_STREAM_URL,
     oauth: {
-      clientId: process.env.PALABRA_CLIENT_ID,
-      clientSecret: process.env.PALABRA_CLIENT_SECRET,
-      tokenUrl: process.env.PALABRA_TOKEN_URL || 'https://api.palabra.ai/v1/oauth/token',//'https://api.palabra.com/oauth/token',
-      scope: process.env.PALABRA_SCOPE || 'translation:stream'
+      clientId: process.env.PALABRA_CLIENT_ID || (palabraMockUrl ? 'mock-client-id' : undefined),
+      clientSecret: process.env.PALABRA_CLIENT_SECRET || (palabraMockUrl ? 'mock-client-secret' : undefined),
+      tokenUrl: (palabraMockUrl && `${palabraMockUrl}/oauth/token`) || process.env.PALABRA_TOKEN_URL || 'https://api.palabra.ai/v1/oauth/token',//'https://api.palabra.com/oauth/token',
+      scope: process.env.PALABRA_SCOPE || 'translation:stream',
+      // Tokens are replaced this long before they expire (in the background unless disabled)
+      refreshBeforeSeconds: parseInt(process.env.PALABRA_OAUTH_REFRESH_BEFORE_SECONDS) || 300, // 5 minutes
+      backgroundRefresh: process.env.PALABRA_OAUTH_BACKGROUND_REFRESH !== 'false'
+    },
+    agora: {
+      maxTargetLanguages: parseInt(process.env.PALABRA_MAX_TARGET_LANGUAGES) || 5,
+      botTokenExpireSeconds: parseInt(process.env.PALABRA_BOT_TOKEN_EXPIRE_SECONDS) || parseInt(process.env.TOKEN_EXPIRE_SECONDS) || 3600,
+      renewBeforeSeconds: parseInt(process.env.PALABRA_BOT_TOKEN_RENEW_BEFORE_SECONDS) || 300, // 5 minutes
+      renewalCheckInterval: parseInt(process.env.PALABRA_BOT_TOKEN_RENEWAL_INTERVAL) || 60000, // 1 minute
+      statusCheckEnabled: process.env.PALABRA_TASK_STATUS_CHECK !== 'false',
+      statusCheckInterval: parseInt(process.env.PALABRA_TASK_STATUS_CHECK_INTERVAL) || 30000, // 30 seconds
+      restartFailedTasks: process.env.PALABRA_RESTART_FAILED_TASKS === 'true',
+      maxRestartAttempts: parseInt(process.env.PALABRA_MAX_TASK_RESTART_ATTEMPTS) || 3
+    },
+    mock: {
+      mode: palabraMockMode,
+      port: palabraMockPort,
+      host: palabraMockHost,
+      latency: parseInt(process.env.PALABRA_MOCK_LATENCY) || 0,
+      failureRate: parseFloat(process.env.PALABRA_MOCK_FAILURE_RATE) || 0,
+      failureMode: process.env.PALABRA_MOCK_FAILURE_MODE || '5xx', // timeout | 401 | 5xx
+      failurePaths: (process.env.PALABRA_MOCK_FAILURE_PATHS || '').split(',').map(path => path.trim()).filter(Boolean),
+      captionInterval: parseInt(process.env.PALABRA_MOCK_CAPTION_INTERVAL) || 2000,
+      tokenExpiresIn: parseInt(process.env.PALABRA_MOCK_TOKEN_EXPIRES_IN) || 3600 // seconds
     },
     session: {
       cacheTimeout: parseInt(process.env.PALABRA_SESSION_CACHE_TIMEOUT) || 3600000, // 1 hour
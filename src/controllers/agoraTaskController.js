@@ -0,0 +1,379 @@
+import palabraAgoraService from '../services/palabraAgoraService.js';
+import channelPolicyService from '../services/channelPolicyService.js';
+import authService from '../services/authService.js';
+import { TOKEN_ROLES } from '../services/tokenService.js';
+import logger from '../utils/logger.js';
+import { isValidLanguageCode, normalizeTargetLanguages } from '../utils/validation.js';
+import { denyChannelAccess, denyTaskManagement } from '../middleware/channelAccess.js';
+import { getErrorStatus } from '../utils/errors.js';
+
+class AgoraTaskController {
+  /**
+   * Start (or join) an Agora translation task for a speaker
+   * Shares validation and task logic with the `start_translation` socket event.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startTask(req, res) {
+    const { channel, sourceLanguage, targetLanguage, targetLanguages, channelTokenData, options = {} } = req.body || {};
+    const requestedLanguages = normalizeTargetLanguages(targetLanguage, targetLanguages);
+
+    try {
+      const validation = palabraAgoraService.validateStartParams({
+        channel,
+        sourceLanguage,
+        targetLanguages: requestedLanguages
+      });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          details: validation.errors
+        });
+      }
+
+      // Without speaker token data a publisher token is minted, so the full token policy applies
+      const policy = channelTokenData
+        ? channelPolicyService.evaluateChannelAccess({ identity: req.auth, channel })
+        : channelPolicyService.evaluate({ identity: req.auth, channel, role: TOKEN_ROLES.PUBLISHER });
+      if (!policy.allowed) {
+        return res.status(policy.status).json({
+          success: false,
+          error: 'Channel access denied',
+          reasons: policy.reasons
+        });
+      }
+
+      if (!palabraAgoraService.isConfigured()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Palabra integration is not configured on the server'
+        });
+      }
+
+      logger.info('Starting Agora translation task', {
+        channel,
+        sourceLanguage,
+        targetLanguages: requestedLanguages,
+        hasChannelTokenData: Boolean(channelTokenData),
+        identity: req.auth?.id
+      });
+
+      const result = await palabraAgoraService.startTask({
+        channel,
+        sourceLanguage,
+        targetLanguages: requestedLanguages,
+        channelTokenData,
+        options
+      }, {
+        startedBy: `api:${req.auth?.id || 'anonymous'}`,
+        identity: authService.getIdentityId(req.auth),
+        tenant: req.auth?.tenant || null
+      });
+
+      res.status(result.reused ? 200 : 201).json({
+        success: true,
+        data: {
+          reused: result.reused,
+          task: result.task,
+          channelTokenData: result.channelTokenData,
+          receiverTokenData: result.receiverTokenData,
+          translatorTokens: result.translatorTokens,
+          palabraTask: result.palabraTask
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to start Agora translation task', {
+        error: error.message,
+        channel,
+        targetLanguages: requestedLanguages
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to start translation task',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Stop the Agora translation tasks of a channel, or one speaker's task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async stopTasks(req, res) {
+    try {
+      const { channel } = req.params;
+      const speakerUid = req.params.speakerUid ?? req.query.speakerUid ?? null;
+      if (denyChannelAccess(req, res, channel)) {
+        return;
+      }
+
+      logger.info('Stopping Agora translation task', {
+        channel,
+        speakerUid,
+        identity: req.auth?.id
+      });
+
+      // Resolves the speaker (or checks the channel has tasks) and 404s otherwise
+      const tasks = speakerUid !== null
+        ? [palabraAgoraService.resolveTask(channel, speakerUid)]
+        : palabraAgoraService.getChannelTasks(channel);
+      if (tasks.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `No active translation task for channel ${channel}`
+        });
+      }
+
+      const stopped = await palabraAgoraService.stopTranslationTask(channel, speakerUid, {
+        stoppedBy: `api:${req.auth?.id || 'anonymous'}`
+      });
+
+      // Tasks whose remote delete failed are kept so the stop can be retried
+      const stillRunning = tasks.filter(task => palabraAgoraService.getTask(channel, task.speakerUid));
+      if (!stopped && stillRunning.length > 0) {
+        return res.status(502).json({
+          success: false,
+          error: 'Failed to stop translation task',
+          message: 'Palabra did not confirm the stop; the task is still running and can be stopped again',
+          data: {
+            channel,
+            speakerUids: stillRunning.map(task => task.speakerUid)
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          channel,
+          speakerUids: tasks.map(task => task.speakerUid),
+          allStopped: stopped
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to stop Agora translation task', {
+        error: error.message,
+        channel: req.params.channel
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to stop translation task',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List every running Agora translation task in the caller's tenant channels
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllTasks(req, res) {
+    try {
+      const tasks = Array.from(palabraAgoraService.activeTasks.values())
+        .filter(task => !channelPolicyService.checkTenantPrefix({ identity: req.auth, channel: task.channel }))
+        .map(task => palabraAgoraService.describeTask(task));
+
+      res.json({
+        success: true,
+        data: {
+          count: tasks.length,
+          tasks
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get translation tasks', { error: error.message });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get translation tasks',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Describe one speaker's Agora translation task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTask(req, res) {
+    try {
+      const { channel, speakerUid } = req.params;
+      if (denyChannelAccess(req, res, channel)) {
+        return;
+      }
+      const task = palabraAgoraService.resolveTask(channel, speakerUid);
+
+      res.json({
+        success: true,
+        data: palabraAgoraService.describeTask(task)
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to get translation task',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List the Agora translation tasks running in a channel (one per speaker)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getChannelTasks(req, res) {
+    try {
+      const { channel } = req.params;
+      if (denyChannelAccess(req, res, channel)) {
+        return;
+      }
+      const tasks = palabraAgoraService.getChannelTasks(channel)
+        .map(task => palabraAgoraService.describeTask(task));
+
+      res.json({
+        success: true,
+        data: {
+          channel,
+          tasks
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get channel translation tasks', {
+        error: error.message,
+        channel: req.params.channel
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get channel translation tasks',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Add target languages to a running Agora translation task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addLanguages(req, res) {
+    try {
+      const { channel } = req.params;
+      const { speakerUid, targetLanguage, targetLanguages } = req.body || {};
+      if (denyChannelAccess(req, res, channel)) {
+        return;
+      }
+      const languages = Array.isArray(targetLanguages) ? targetLanguages : [targetLanguage].filter(Boolean);
+
+      if (languages.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Target languages are required'
+        });
+      }
+
+      if (!languages.every(isValidLanguageCode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid language codes provided'
+        });
+      }
+
+      if (denyTaskManagement(req, res, palabraAgoraService.resolveTask(channel, speakerUid))) {
+        return;
+      }
+
+      logger.info('Adding target languages to Agora translation task', {
+        channel,
+        speakerUid,
+        targetLanguages: languages,
+        identity: req.auth?.id
+      });
+
+      const result = await palabraAgoraService.addTargetLanguages(channel, speakerUid, languages);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Failed to add target languages', {
+        error: error.message,
+        channel: req.params.channel,
+        body: req.body
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to add target languages',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a target language from a running Agora translation task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeLanguage(req, res) {
+    try {
+      const { channel, language } = req.params;
+      const { speakerUid } = req.query;
+      if (denyChannelAccess(req, res, channel)) {
+        return;
+      }
+      if (denyTaskManagement(req, res, palabraAgoraService.resolveTask(channel, speakerUid))) {
+        return;
+      }
+
+      logger.info('Removing target language from Agora translation task', {
+        channel,
+        speakerUid,
+        targetLanguage: language,
+        identity: req.auth?.id
+      });
+
+      const result = await palabraAgoraService.removeTargetLanguages(channel, speakerUid, [language]);
+
+      if (result.removed.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `Language ${language} is not being translated in channel ${channel}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Failed to remove target language', {
+        error: error.message,
+        channel: req.params.channel,
+        targetLanguage: req.params.language
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to remove target language',
+        message: error.message
+      });
+    }
+  }
+}
+
+export default new AgoraTaskController();
@@ -0,0 +1,58 @@
+import captionService, { CAPTION_SOURCES } from '../services/captionService.js';
+import logger from '../utils/logger.js';
+import { denyChannelAccess } from '../middleware/channelAccess.js';
+import { getErrorStatus } from '../utils/errors.js';
+
+class CaptionController {
+  /**
+   * Accept a caption from an external transcription source (CAPTION_SOURCE=http)
+   * and relay it to the channel's caption subscribers
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async pushCaption(req, res) {
+    try {
+      if (!captionService.acceptsPushedCaptions()) {
+        return res.status(503).json({
+          success: false,
+          error: `Captions are not accepted over HTTP (CAPTION_SOURCE=${captionService.source})`
+        });
+      }
+
+      const validation = captionService.validateCaption(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          details: validation.errors
+        });
+      }
+
+      if (denyChannelAccess(req, res, req.body.channel)) {
+        return;
+      }
+
+      const caption = captionService.ingest(req.body, CAPTION_SOURCES.HTTP);
+
+      res.status(202).json({
+        success: true,
+        data: caption
+      });
+
+    } catch (error) {
+      logger.error('Failed to relay caption', {
+        error: error.message,
+        channel: req.body?.channel,
+        identity: req.auth?.id
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to relay caption',
+        message: error.message
+      });
+    }
+  }
+}
+
+export default new CaptionController();
@@ -0,0 +1,160 @@
+import glossaryService from '../services/glossaryService.js';
+import logger from '../utils/logger.js';
+import { getErrorStatus } from '../utils/errors.js';
+
+class GlossaryController {
+  /**
+   * List the caller's glossaries
+   * Optional `scope` and `channel` query parameters narrow the list.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGlossaries(req, res) {
+    try {
+      const { scope, channel } = req.query;
+      const glossaries = glossaryService.listGlossaries(req.auth?.tenant, { scope, channel });
+
+      res.json({
+        success: true,
+        data: {
+          glossaries,
+          count: glossaries.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list glossaries', {
+        error: error.message
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to list glossaries',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a glossary owned by the caller's tenant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createGlossary(req, res) {
+    try {
+      const validation = glossaryService.validateGlossary(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          details: validation.errors
+        });
+      }
+
+      const glossary = glossaryService.createGlossary(req.body, req.auth?.tenant);
+
+      res.status(201).json({
+        success: true,
+        data: glossary
+      });
+
+    } catch (error) {
+      logger.error('Failed to create glossary', {
+        error: error.message,
+        identity: req.auth?.id
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to create glossary',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one glossary
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGlossary(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: glossaryService.getGlossary(req.params.id, req.auth?.tenant)
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to get glossary',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace a glossary's name, scope, languages and terms
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateGlossary(req, res) {
+    try {
+      const validation = glossaryService.validateGlossary(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          details: validation.errors
+        });
+      }
+
+      res.json({
+        success: true,
+        data: glossaryService.updateGlossary(req.params.id, req.body, req.auth?.tenant)
+      });
+
+    } catch (error) {
+      logger.error('Failed to update glossary', {
+        error: error.message,
+        glossaryId: req.params.id
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to update glossary',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a glossary
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteGlossary(req, res) {
+    try {
+      glossaryService.deleteGlossary(req.params.id, req.auth?.tenant);
+
+      res.json({
+        success: true,
+        data: { id: req.params.id }
+      });
+
+    } catch (error) {
+      logger.error('Failed to delete glossary', {
+        error: error.message,
+        glossaryId: req.params.id
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to delete glossary',
+        message: error.message
+      });
+    }
+  }
+}
+
+export default new GlossaryController();
@@ -1,17 +1,31 @@
 import tokenService from '../services/tokenService.js';
+import tokenExpiryService from '../services/tokenExpiryService.js';
+import channelPolicyService from '../services/channelPolicyService.js';
+import authService from '../services/authService.js';
+import { getErrorStatus } from '../utils/errors.js';
 
 class TokenController {
   /**
-   * Generate Agora RTC token
+   * Generate Agora RTC/RTM token
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async generateToken(req, res) {
     try {
-      const { channel, uid, expireSeconds } = req.query;
+      const { channel, uid, expireSeconds, role, tokenType, account } = req.query;
+
+      // Parse numeric parameters
+      const parsedUid = uid ? Number(uid) : null;
+      const parsedExpireSeconds = expireSeconds ? parseInt(expireSeconds) : null;
+      const options = {
+        role: role || undefined,
+        tokenType: tokenType || undefined,
+        account: account || undefined,
+        identity: authService.getIdentityId(req.auth)
+      };
       
       // Validate parameters
-      const validation = tokenService.validateTokenParams(channel, uid);
+      const validation = tokenService.validateTokenParams(channel, parsedUid, options);
       if (!validation.isValid) {
         return res.status(400).json({
           success: false,
@@ -20,12 +34,25 @@ class TokenController {
         });
       }
 
-      // Parse numeric parameters
-      const parsedUid = uid ? parseInt(uid) : null;
-      const parsedExpireSeconds = expireSeconds ? parseInt(expireSeconds) : null;
+      // Check channel access policies for the authenticated identity
+      const policy = channelPolicyService.evaluate({
+        identity: req.auth,
+        channel,
+        role: options.role,
+        uid: parsedUid,
+        account: options.account
+      });
+      if (!policy.allowed) {
+        return res.status(policy.status).json({
+          success: false,
+          error: 'Channel access denied',
+          reasons: policy.reasons
+        });
+      }
       
       // Generate token
-      const tokenData = tokenService.generateToken(channel, parsedUid, parsedExpireSeconds);
+      const tokenData = tokenService.generateToken(channel, parsedUid, parsedExpireSeconds, options);
+      tokenExpiryService.track(tokenData);
       
       res.json({
         success: true,
@@ -33,10 +60,13 @@ class TokenController {
       });
 
     } catch (error) {
-      console.error('Token generation error:', error);
-      res.status(500).json({
+      const status = getErrorStatus(error);
+      if (status === 500) {
+        console.error('Token generation error:', error);
+      }
+      res.status(status).json({
         success: false,
-        error: 'Internal server error',
+        error: status === 500 ? 'Internal server error' : 'Token request rejected',
         message: error.message
       });
     }
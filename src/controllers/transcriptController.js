@@ -0,0 +1,94 @@
+import transcriptService, { TRANSCRIPT_FORMATS } from '../services/transcriptService.js';
+import logger from '../utils/logger.js';
+import { denyChannelAccess } from '../middleware/channelAccess.js';
+import { getErrorStatus } from '../utils/errors.js';
+
+class TranscriptController {
+  /**
+   * Download a channel's transcript
+   * `format` is json (default), srt, vtt or txt; `language` and `speakerUid` (comma separated) filter segments.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTranscript(req, res) {
+    try {
+      if (denyChannelAccess(req, res, req.params.channel)) {
+        return;
+      }
+
+      const validation = transcriptService.validateExportQuery(req.query);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          details: validation.errors
+        });
+      }
+
+      const { channel } = req.params;
+      const { format = TRANSCRIPT_FORMATS.JSON, language, speakerUid } = req.query;
+      const transcript = transcriptService.getTranscript(channel, { language, speakerUid });
+
+      if (format === TRANSCRIPT_FORMATS.JSON) {
+        return res.json({
+          success: true,
+          data: {
+            ...transcript,
+            count: transcript.segments.length
+          }
+        });
+      }
+
+      const { contentType, body } = transcriptService.renderTranscript(transcript, format);
+      const suffix = language ? `-${String(language).replace(/,/g, '_')}` : '';
+
+      res
+        .type(contentType)
+        .attachment(`${channel}${suffix}.${format}`)
+        .send(body);
+
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        logger.error('Failed to export transcript', {
+          error: error.message,
+          channel: req.params.channel
+        });
+      }
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to export transcript',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a channel's transcript
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteTranscript(req, res) {
+    try {
+      if (denyChannelAccess(req, res, req.params.channel)) {
+        return;
+      }
+
+      transcriptService.deleteTranscript(req.params.channel);
+
+      res.json({
+        success: true,
+        data: { channel: req.params.channel }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to delete transcript',
+        message: error.message
+      });
+    }
+  }
+}
+
+export default new TranscriptController();
@@ -1,5 +1,6 @@
 import palabraSessionService from '../services/palabraSessionService.js';
 import palabraOAuthService from '../services/palabraOAuthService.js';
+import translationService from '../services/translationService.js';
 import logger from '../utils/logger.js';
 
 class TranslationSessionController {
@@ -222,6 +223,36 @@ class TranslationSessionController {
     }
   }
 
+  /**
+   * Get the languages the translation provider supports, with text translation cache statistics
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSupportedLanguages(req, res) {
+    try {
+      const languages = await translationService.getSupportedLanguages();
+
+      res.json({
+        success: true,
+        data: {
+          languages,
+          stats: translationService.getStats()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get supported languages', {
+        error: error.message
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get supported languages',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Validate language code
    * @param {string} languageCode - Language code to validate
@@ -0,0 +1,266 @@
+import palabraWebhookService from '../services/palabraWebhookService.js';
+import webhookService from '../services/webhookService.js';
+import logger from '../utils/logger.js';
+import { getErrorStatus } from '../utils/errors.js';
+
+class WebhookController {
+  /**
+   * Receive a signed task event from Palabra
+   * Events for tasks this server does not track are acknowledged with `applied: false`.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async receivePalabraEvent(req, res) {
+    try {
+      const event = await palabraWebhookService.handleEvent(req.rawBody, req.headers, req.body);
+
+      res.json({
+        success: true,
+        data: {
+          eventId: event.eventId,
+          taskId: event.taskId,
+          status: event.status,
+          applied: event.applied
+        }
+      });
+
+    } catch (error) {
+      if (getErrorStatus(error) === 500) {
+        logger.error('Failed to handle Palabra webhook', {
+          error: error.message
+        });
+      }
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to handle webhook',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List the caller's webhook subscriptions (without secrets)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSubscriptions(req, res) {
+    const subscriptions = webhookService.listSubscriptions(req.auth?.tenant);
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        count: subscriptions.length
+      }
+    });
+  }
+
+  /**
+   * Subscribe a URL to lifecycle events
+   * The response is the only one that includes the signing secret.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createSubscription(req, res) {
+    try {
+      const validation = webhookService.validateSubscription(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          details: validation.errors
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: await webhookService.createSubscription(req.body, req.auth?.tenant)
+      });
+
+    } catch (error) {
+      logger.error('Failed to create webhook subscription', {
+        error: error.message,
+        identity: req.auth?.id
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to create webhook subscription',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one webhook subscription
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSubscription(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: webhookService.getSubscription(req.params.id, req.auth?.tenant)
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to get webhook subscription',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace a webhook subscription's URL, events, description and state
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateSubscription(req, res) {
+    try {
+      const validation = webhookService.validateSubscription(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          details: validation.errors
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await webhookService.updateSubscription(req.params.id, req.body, req.auth?.tenant)
+      });
+
+    } catch (error) {
+      logger.error('Failed to update webhook subscription', {
+        error: error.message,
+        subscriptionId: req.params.id
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to update webhook subscription',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a webhook subscription
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteSubscription(req, res) {
+    try {
+      webhookService.deleteSubscription(req.params.id, req.auth?.tenant);
+
+      res.json({
+        success: true,
+        data: { id: req.params.id }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to delete webhook subscription',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List deliveries that ran out of attempts (optionally for one `subscriptionId`)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDeadLetters(req, res) {
+    const deadLetters = webhookService.listDeadLetters(req.auth?.tenant, { subscriptionId: req.query.subscriptionId });
+
+    res.json({
+      success: true,
+      data: {
+        deadLetters,
+        count: deadLetters.length
+      }
+    });
+  }
+
+  /**
+   * Deliver one dead letter again
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async replayDeadLetter(req, res) {
+    try {
+      res.status(202).json({
+        success: true,
+        data: webhookService.replayDeadLetter(req.params.id, req.auth?.tenant)
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to replay webhook delivery',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Deliver every dead letter again (optionally for one `subscriptionId`)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async replayDeadLetters(req, res) {
+    try {
+      const replayed = webhookService.replayDeadLetters(req.auth?.tenant, { subscriptionId: req.body?.subscriptionId });
+
+      res.status(202).json({
+        success: true,
+        data: {
+          replayed,
+          count: replayed.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to replay webhook deliveries', {
+        error: error.message
+      });
+
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to replay webhook deliveries',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a dead letter without delivering it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteDeadLetter(req, res) {
+    try {
+      webhookService.deleteDeadLetter(req.params.id, req.auth?.tenant);
+
+      res.json({
+        success: true,
+        data: { id: req.params.id }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        error: 'Failed to delete dead letter',
+        message: error.message
+      });
+    }
+  }
+}
+
+export default new WebhookController();
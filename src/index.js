@@ -15,4 +15,7 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Start the application
 const app = new App();
-app.start();
+app.start().catch((error) => {
+  logger.error('Failed to start server', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
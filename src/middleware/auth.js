@@ -0,0 +1,65 @@
+import authService from '../services/authService.js';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Express authentication middleware
+ * Attaches the authenticated identity to `req.auth`; paths listed in `config.auth.publicPaths`
+ * (relative to the mount point) are let through without credentials.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+export const authenticate = (req, res, next) => {
+  if (config.auth.publicPaths.includes(req.path)) {
+    return next();
+  }
+
+  try {
+    req.auth = authService.authenticate(authService.extractCredentials(req.headers));
+    next();
+  } catch (error) {
+    logger.warn('Rejected unauthenticated request', {
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      reason: error.message
+    });
+
+    res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Socket.IO handshake authentication middleware
+ * Reads `auth.token`/`auth.apiKey` from the handshake (falling back to headers) and attaches the
+ * identity to `socket.data.auth`.
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} next - Next middleware function
+ */
+export const authenticateSocket = (socket, next) => {
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const fromHeaders = authService.extractCredentials(headers);
+
+    socket.data.auth = authService.authenticate({
+      apiKey: auth.apiKey || fromHeaders.apiKey,
+      bearerToken: auth.token || fromHeaders.bearerToken
+    });
+    next();
+  } catch (error) {
+    logger.warn('Rejected unauthenticated socket connection', {
+      socketId: socket.id,
+      address: socket.handshake.address,
+      reason: error.message
+    });
+
+    const authError = new Error('Unauthorized');
+    authError.data = { message: error.message };
+    next(authError);
+  }
+};
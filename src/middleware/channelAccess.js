@@ -0,0 +1,43 @@
+import channelPolicyService from '../services/channelPolicyService.js';
+
+/**
+ * Deny a request for a channel outside the caller's tenant prefixes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} channel - Channel name
+ * @returns {boolean} True if the request was denied (and answered)
+ */
+export const denyChannelAccess = (req, res, channel) => {
+  const policy = channelPolicyService.evaluateChannelAccess({ identity: req.auth, channel });
+  if (policy.allowed) {
+    return false;
+  }
+
+  res.status(policy.status).json({
+    success: false,
+    error: 'Channel access denied',
+    reasons: policy.reasons
+  });
+  return true;
+};
+
+/**
+ * Deny a change to a shared translation task the caller neither started nor administers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} task - Stored channel task
+ * @returns {boolean} True if the request was denied (and answered)
+ */
+export const denyTaskManagement = (req, res, task) => {
+  const startedBy = `api:${req.auth?.id || 'anonymous'}`;
+  if (channelPolicyService.canManageTask({ identity: req.auth, startedBy, task })) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Only the client that started a translation task, or an admin, may change it',
+    speakerUid: task.speakerUid
+  });
+  return true;
+};
@@ -1,3 +1,5 @@
+import { ERROR_TYPES } from '../utils/errors.js';
+
 /**
  * Global error handling middleware
  * @param {Error} err - Error object
@@ -14,24 +16,8 @@ export const errorHandler = (err, req, res, next) => {
     timestamp: new Date().toISOString()
   });
 
-  // Default error response
-  let statusCode = 500;
-  let message = 'Internal server error';
-
-  // Handle specific error types
-  if (err.name === 'ValidationError') {
-    statusCode = 400;
-    message = 'Validation error';
-  } else if (err.name === 'UnauthorizedError') {
-    statusCode = 401;
-    message = 'Unauthorized';
-  } else if (err.name === 'ForbiddenError') {
-    statusCode = 403;
-    message = 'Forbidden';
-  } else if (err.name === 'NotFoundError') {
-    statusCode = 404;
-    message = 'Not found';
-  }
+  // Named service errors map to their status; anything else is an internal error
+  const { status: statusCode, message } = ERROR_TYPES[err.name] || { status: 500, message: 'Internal server error' };
 
   res.status(statusCode).json({
     success: false,
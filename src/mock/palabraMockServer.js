@@ -0,0 +1,398 @@
+import crypto from 'crypto';
+import http from 'http';
+import express from 'express';
+import { WebSocketServer } from 'ws';
+import { fileURLToPath } from 'url';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Failure modes the mock can inject
+ */
+export const FAILURE_MODES = {
+  TIMEOUT: 'timeout',
+  UNAUTHORIZED: '401',
+  SERVER_ERROR: '5xx'
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'zh', name: 'Chinese' }
+];
+
+/**
+ * Stand-in for the Palabra API
+ * Implements the endpoints this server calls (`/oauth/token`, `/translate`, `/languages`, `/sessions`,
+ * `/agora/translations` and its `/stream` result WebSocket) with Palabra-shaped responses, plus
+ * `/__mock` endpoints to inspect state and change faults at runtime.
+ */
+export class PalabraMockServer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.latency] - Delay added to every response (ms)
+   * @param {number} [options.failureRate] - Share of requests (0-1) that fail
+   * @param {string} [options.failureMode] - FAILURE_MODES value used for injected failures
+   * @param {Array<string>} [options.failurePaths] - Only inject failures on paths starting with these
+   * @param {number} [options.timeoutDelay] - How long a `timeout` failure holds the request (ms)
+   * @param {number} [options.captionInterval] - How often a task's result stream sends a sentence (ms)
+   * @param {number} [options.tokenExpiresIn] - Lifetime of issued OAuth tokens (seconds)
+   */
+  constructor({
+    latency = 0,
+    failureRate = 0,
+    failureMode = FAILURE_MODES.SERVER_ERROR,
+    failurePaths = [],
+    timeoutDelay = 60000,
+    captionInterval = 2000,
+    tokenExpiresIn = 3600
+  } = {}) {
+    this.faults = { latency, failureRate, failureMode, failurePaths, timeoutDelay };
+    this.captionInterval = captionInterval;
+    this.tokenExpiresIn = tokenExpiresIn;
+    this.accessTokens = new Map(); // access token -> expiresAt
+    this.sessions = new Map(); // session ID -> session
+    this.tasks = new Map(); // task ID -> Agora translation task
+    this.requests = [];
+    this.server = null;
+    this.resultStreams = new WebSocketServer({ noServer: true });
+    this.app = this.createApp();
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    // Mock control endpoints are never delayed or failed
+    app.get('/__mock/state', (req, res) => res.json(this.getState()));
+    app.post('/__mock/faults', (req, res) => {
+      this.setFaults(req.body || {});
+      res.json({ faults: this.faults });
+    });
+    app.post('/__mock/reset', (req, res) => {
+      this.reset();
+      res.json({ ok: true });
+    });
+    app.post('/__mock/oauth/revoke', (req, res) => {
+      const revoked = this.accessTokens.size;
+      this.accessTokens.clear();
+      res.json({ ok: true, revoked });
+    });
+    app.post('/__mock/agora/translations/:taskId/status', (req, res) => {
+      const task = this.tasks.get(req.params.taskId);
+      if (!task) {
+        return res.status(404).json({ ok: false, error: 'task_not_found' });
+      }
+      task.status = req.body?.status || 'failed';
+      res.json({ ok: true, data: task });
+    });
+
+    app.use((req, res, next) => this.applyFaults(req, res, next));
+
+    const issueToken = (req, res) => this.issueToken(req, res);
+    app.post('/oauth/token', issueToken);
+    app.post('/v1/oauth/token', issueToken);
+
+    app.post('/translate', (req, res) => this.withBearer(req, res, () => this.translate(req, res)));
+    app.get('/languages', (req, res) => this.withBearer(req, res, () => res.json({ languages: LANGUAGES })));
+
+    app.post('/sessions', (req, res) => this.withBearer(req, res, () => this.createSession(req, res)));
+    app.get('/sessions/:sessionId', (req, res) => this.withBearer(req, res, () => this.getSession(req, res)));
+    app.delete('/sessions/:sessionId', (req, res) => this.withBearer(req, res, () => this.deleteSession(req, res)));
+
+    app.post('/agora/translations', (req, res) => this.withClientCredentials(req, res, () => this.createTask(req, res)));
+    app.get('/agora/translations', (req, res) => this.withClientCredentials(req, res, () => (
+      res.json({ ok: true, data: Array.from(this.tasks.values()) })
+    )));
+    app.get('/agora/translations/:taskId', (req, res) => this.withClientCredentials(req, res, () => this.getTask(req, res)));
+    app.delete('/agora/translations/:taskId', (req, res) => this.withClientCredentials(req, res, () => this.deleteTask(req, res)));
+
+    app.use((req, res) => res.status(404).json({ ok: false, error: 'not_found', path: req.path }));
+    return app;
+  }
+
+  /**
+   * Change latency / failure injection
+   * @param {Object} faults - Any of the constructor options
+   */
+  setFaults(faults) {
+    for (const key of Object.keys(this.faults)) {
+      if (faults[key] !== undefined) {
+        this.faults[key] = faults[key];
+      }
+    }
+    logger.info('Palabra mock faults updated', this.faults);
+  }
+
+  // Forget every token, session and task
+  reset() {
+    this.accessTokens.clear();
+    this.sessions.clear();
+    this.tasks.clear();
+    this.requests = [];
+  }
+
+  getState() {
+    return {
+      faults: this.faults,
+      sessions: Array.from(this.sessions.values()),
+      tasks: Array.from(this.tasks.values()),
+      requests: this.requests.slice(-100)
+    };
+  }
+
+  async applyFaults(req, res, next) {
+    this.requests.push({ method: req.method, path: req.path, at: new Date().toISOString() });
+
+    const { latency, failureRate, failureMode, failurePaths, timeoutDelay } = this.faults;
+    if (latency > 0) {
+      await delay(latency);
+    }
+
+    const pathMatches = failurePaths.length === 0 || failurePaths.some(prefix => req.path.startsWith(prefix));
+    if (!pathMatches || !(Math.random() < failureRate)) {
+      return next();
+    }
+
+    logger.debug('Palabra mock injecting failure', { method: req.method, path: req.path, failureMode });
+    if (failureMode === FAILURE_MODES.TIMEOUT) {
+      await delay(timeoutDelay);
+      if (!res.headersSent && !req.socket.destroyed) {
+        res.status(504).json({ ok: false, error: 'gateway_timeout' });
+      }
+      return;
+    }
+
+    if (failureMode === FAILURE_MODES.UNAUTHORIZED) {
+      return res.status(401).json({ ok: false, error: 'unauthorized', message: 'Invalid or expired credentials' });
+    }
+
+    res.status(503).json({ ok: false, error: 'service_unavailable', message: 'Injected server error' });
+  }
+
+  withBearer(req, res, handler) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const expiresAt = this.accessTokens.get(token);
+    if (!/^bearer$/i.test(scheme) || !expiresAt || expiresAt <= Date.now()) {
+      return res.status(401).json({ error: 'invalid_token', error_description: 'Access token is missing or expired' });
+    }
+    handler();
+  }
+
+  withClientCredentials(req, res, handler) {
+    if (!req.headers.clientid || !req.headers.clientsecret) {
+      return res.status(401).json({ ok: false, error: 'unauthorized', message: 'ClientID and ClientSecret headers are required' });
+    }
+    handler();
+  }
+
+  issueToken(req, res) {
+    const { grant_type: grantType, client_id: clientId, client_secret: clientSecret, scope } = req.body || {};
+    if (grantType !== 'client_credentials' || !clientId || !clientSecret) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Client credentials are required' });
+    }
+
+    const accessToken = `mock_${crypto.randomBytes(16).toString('hex')}`;
+    const expiresIn = this.tokenExpiresIn;
+    this.accessTokens.set(accessToken, Date.now() + expiresIn * 1000);
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: expiresIn, scope });
+  }
+
+  translate(req, res) {
+    const { text, source_language: sourceLanguage, target_language: targetLanguage } = req.body || {};
+    if (typeof text !== 'string' || !sourceLanguage || !targetLanguage) {
+      return res.status(422).json({ error: 'validation_error', message: 'text, source_language and target_language are required' });
+    }
+
+    res.json({
+      translated_text: `[${sourceLanguage}->${targetLanguage}] ${text}`,
+      source_language: sourceLanguage,
+      target_language: targetLanguage,
+      confidence: 0.99
+    });
+  }
+
+  createSession(req, res) {
+    const body = req.body || {};
+    if (!body.source_language || !body.target_language) {
+      return res.status(422).json({ error: 'validation_error', message: 'source_language and target_language are required' });
+    }
+
+    const sessionId = crypto.randomUUID();
+    const session = {
+      session_id: sessionId,
+      channel_name: body.channel_name,
+      source_language: body.source_language,
+      target_language: body.target_language,
+      status: 'active',
+      stream_url: `rtmp://mock.palabra.local/live/${sessionId}`,
+      websocket_url: `wss://mock.palabra.local/sessions/${sessionId}`,
+      created_at: new Date().toISOString()
+    };
+    this.sessions.set(sessionId, session);
+    res.status(201).json(session);
+  }
+
+  getSession(req, res) {
+    const session = this.sessions.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'session_not_found' });
+    }
+    res.json(session);
+  }
+
+  deleteSession(req, res) {
+    if (!this.sessions.delete(req.params.sessionId)) {
+      return res.status(404).json({ error: 'session_not_found' });
+    }
+    res.json({ session_id: req.params.sessionId, status: 'ended' });
+  }
+
+  createTask(req, res) {
+    const body = req.body || {};
+    const translations = Array.isArray(body.translations) ? body.translations : [];
+    if (!body.channel || body.remote_uid === undefined || !body.token || translations.length === 0) {
+      return res.status(422).json({
+        ok: false,
+        error: 'validation_error',
+        message: 'channel, remote_uid, token and at least one translation are required'
+      });
+    }
+
+    const taskId = crypto.randomUUID();
+    const task = {
+      task_id: taskId,
+      status: 'running',
+      channel: body.channel,
+      remote_uid: body.remote_uid,
+      local_uid: body.local_uid,
+      source_language: body.speech_recognition?.source_language,
+      translations: translations.map(({ target_language: targetLanguage, local_uid: localUid }) => ({
+        target_language: targetLanguage,
+        local_uid: localUid
+      })),
+      created_at: new Date().toISOString()
+    };
+    this.tasks.set(taskId, task);
+    res.status(201).json({ ok: true, data: task });
+  }
+
+  getTask(req, res) {
+    const task = this.tasks.get(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ ok: false, error: 'task_not_found' });
+    }
+    res.json({ ok: true, data: task });
+  }
+
+  deleteTask(req, res) {
+    const task = this.tasks.get(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ ok: false, error: 'task_not_found' });
+    }
+    this.tasks.delete(req.params.taskId);
+    res.json({ ok: true, data: { ...task, status: 'stopped' } });
+  }
+
+  /**
+   * Accept a WebSocket on `/agora/translations/:taskId/stream` and send the task's "speech" as
+   * Palabra result messages: a partial and a validated transcription, then one translation per language
+   */
+  handleUpgrade(req, socket, head) {
+    const match = req.url.match(/^\/agora\/translations\/([^/?]+)\/stream/);
+    const task = match && this.tasks.get(decodeURIComponent(match[1]));
+    if (!task || !req.headers.clientid || !req.headers.clientsecret) {
+      socket.end(`HTTP/1.1 ${task ? '401 Unauthorized' : '404 Not Found'}\r\n\r\n`);
+      return;
+    }
+
+    this.resultStreams.handleUpgrade(req, socket, head, (ws) => {
+      let sentence = 0;
+      const send = (messageType, language, text) => ws.send(JSON.stringify({
+        message_type: messageType,
+        data: { transcription: { transcription_id: `${task.task_id}:${sentence}`, language, text } }
+      }));
+
+      const timer = setInterval(() => {
+        if (!this.tasks.has(task.task_id) || task.status !== 'running') {
+          ws.close();
+          return;
+        }
+
+        sentence++;
+        const text = `Mock sentence ${sentence}`;
+        send('partial_transcription', task.source_language, text.split(' ').slice(0, 2).join(' '));
+        send('validated_transcription', task.source_language, text);
+        for (const { target_language: targetLanguage } of task.translations) {
+          send('translated_transcription', targetLanguage, `[${task.source_language}->${targetLanguage}] ${text}`);
+        }
+      }, this.captionInterval);
+      ws.on('close', () => clearInterval(timer));
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port
+   * @param {string} [host] - Host
+   * @returns {Promise<string>} Base URL
+   */
+  start(port, host = '127.0.0.1') {
+    this.server = http.createServer(this.app);
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const url = `http://${host}:${this.server.address().port}`;
+        logger.info('Palabra mock server listening', { url, faults: this.faults });
+        resolve(url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening, dropping requests held by injected timeouts
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    for (const ws of this.resultStreams.clients) {
+      ws.terminate();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+}
+
+/**
+ * Start a mock with the faults configured in config.translation.mock
+ * @returns {Promise<PalabraMockServer>} Running mock
+ */
+export const startPalabraMockServer = async () => {
+  const { port, host, latency, failureRate, failureMode, failurePaths, captionInterval, tokenExpiresIn } = config.translation.mock;
+  const mock = new PalabraMockServer({ latency, failureRate, failureMode, failurePaths, captionInterval, tokenExpiresIn });
+  await mock.start(port, host);
+  return mock;
+};
+
+// Standalone: `npm run mock:palabra`
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startPalabraMockServer().catch((error) => {
+    logger.error('Failed to start Palabra mock server', { error: error.message });
+    process.exit(1);
+  });
+}
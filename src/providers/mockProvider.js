@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import { TranslationProvider, TASK_STATUSES, CAPTION_KINDS } from './translationProvider.js';
+
+// How often a mock task "hears" a new sentence
+const CAPTION_INTERVAL = 3000;
+
+const SUPPORTED_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'ja', name: 'Japanese' }
+];
+
+/**
+ * In-memory provider with no network access
+ * Text is "translated" by tagging it with the language pair; sessions and Agora tasks only
+ * exist in this process. Unlike PALABRA_MOCK it does not exercise the Palabra HTTP client.
+ */
+export class MockProvider extends TranslationProvider {
+  constructor() {
+    super('mock');
+    this.sessions = new Map(); // session ID -> params
+    this.tasks = new Map(); // task ID -> { status, params }
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async translateText(text, sourceLanguage, targetLanguage) {
+    return {
+      translatedText: `[${sourceLanguage}->${targetLanguage}] ${text}`,
+      confidence: 1
+    };
+  }
+
+  async getSupportedLanguages() {
+    return SUPPORTED_LANGUAGES;
+  }
+
+  async createSession(params) {
+    const sessionId = crypto.randomUUID();
+    this.sessions.set(sessionId, params);
+    return {
+      sessionId,
+      streamUrl: `mock://sessions/${sessionId}/stream`,
+      websocketUrl: `mock://sessions/${sessionId}/ws`
+    };
+  }
+
+  async sessionExists(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  async endSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async startAgoraTask(params) {
+    const taskId = crypto.randomUUID();
+    this.tasks.set(taskId, { status: TASK_STATUSES.RUNNING, params });
+    return {
+      taskId,
+      raw: {
+        ok: true,
+        data: {
+          task_id: taskId,
+          provider: this.name,
+          target_languages: Object.keys(params.translatorTokens)
+        }
+      }
+    };
+  }
+
+  async getAgoraTaskStatus(taskId) {
+    return this.tasks.get(taskId)?.status || TASK_STATUSES.GONE;
+  }
+
+  async stopAgoraTask(taskId) {
+    this.tasks.delete(taskId);
+  }
+
+  openCaptionStream(taskId, { onCaption, onClose }) {
+    let sentence = 0;
+    const timer = setInterval(() => {
+      const task = this.tasks.get(taskId);
+      if (!task || task.status !== TASK_STATUSES.RUNNING) {
+        clearInterval(timer);
+        onClose(null);
+        return;
+      }
+
+      sentence++;
+      const { sourceLanguage, translatorTokens } = task.params;
+      const text = `Mock sentence ${sentence}`;
+      const captionId = `${taskId}:${sentence}`;
+
+      const transcription = { kind: CAPTION_KINDS.TRANSCRIPTION, language: sourceLanguage, captionId };
+
+      onCaption({ ...transcription, text: text.split(' ').slice(0, 2).join(' '), isFinal: false });
+      onCaption({ ...transcription, text, isFinal: true });
+      for (const language of Object.keys(translatorTokens)) {
+        onCaption({
+          kind: CAPTION_KINDS.TRANSLATION,
+          language,
+          text: `[${sourceLanguage}->${language}] ${text}`,
+          isFinal: true,
+          captionId
+        });
+      }
+    }, CAPTION_INTERVAL);
+
+    return {
+      close: () => {
+        clearInterval(timer);
+        onClose(null);
+      }
+    };
+  }
+
+  /**
+   * Mark a task as failed (for trying out failure handling)
+   * @param {string} taskId - Task ID
+   */
+  failAgoraTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (task) {
+      task.status = TASK_STATUSES.FAILED;
+    }
+  }
+}
+
+export default MockProvider;
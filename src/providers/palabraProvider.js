@@ -0,0 +1,319 @@
+import axios from 'axios';
+import WebSocket from 'ws';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import palabraOAuthService from '../services/palabraOAuthService.js';
+import { TranslationProvider, TASK_STATUSES, CAPTION_KINDS } from './translationProvider.js';
+
+// Remote states meaning the task no longer translates, or no longer exists
+const REMOTE_FAILED_STATUSES = new Set(['failed', 'error', 'stopped', 'terminated', 'finished']);
+const REMOTE_GONE_STATUSES = new Set(['deleted', 'not_found']);
+const REMOTE_RUNNING_STATUSES = new Set(['running', 'started', 'active']);
+
+/**
+ * Map a status reported by Palabra to a TASK_STATUSES value
+ * @param {string} remoteStatus - Palabra status (case-insensitive)
+ * @returns {string|null} TASK_STATUSES value, or null if the status is not recognised
+ */
+export const toTaskStatus = (remoteStatus) => {
+  const status = String(remoteStatus || '').toLowerCase();
+  if (REMOTE_FAILED_STATUSES.has(status)) {
+    return TASK_STATUSES.FAILED;
+  }
+  if (REMOTE_GONE_STATUSES.has(status)) {
+    return TASK_STATUSES.GONE;
+  }
+  return REMOTE_RUNNING_STATUSES.has(status) ? TASK_STATUSES.RUNNING : null;
+};
+
+// Result stream message types -> caption kind and finality
+const CAPTION_MESSAGE_TYPES = {
+  partial_transcription: { kind: CAPTION_KINDS.TRANSCRIPTION, isFinal: false },
+  validated_transcription: { kind: CAPTION_KINDS.TRANSCRIPTION, isFinal: true },
+  partial_translated_transcription: { kind: CAPTION_KINDS.TRANSLATION, isFinal: false },
+  translated_transcription: { kind: CAPTION_KINDS.TRANSLATION, isFinal: true }
+};
+
+/**
+ * Palabra (https://docs.palabra.ai): OAuth bearer tokens for sessions, ClientID/ClientSecret
+ * headers for the Agora integration (`/agora/translations`)
+ */
+export class PalabraProvider extends TranslationProvider {
+  constructor() {
+    super('palabra');
+    this.baseUrl = `${config.translation.apiUrl}`.replace(/\/$/, '');
+    this.clientId = config.translation.oauth.clientId;
+    this.clientSecret = config.translation.oauth.clientSecret;
+    this.timeout = config.translation.timeout;
+    this.captionStreamUrl = config.translation.captionStreamUrl ||
+      `${this.baseUrl.replace(/^http/, 'ws')}/agora/translations/{taskId}/stream`;
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret && this.baseUrl);
+  }
+
+  // Headers for the Agora integration endpoints
+  getClientHeaders() {
+    return {
+      ClientID: this.clientId,
+      ClientSecret: this.clientSecret,
+      Accept: 'application/json'
+    };
+  }
+
+  // Per-language translation options: glossary terms are narrowed to the language they target
+  getTranslationOptions({ glossary, ...options }, language) {
+    if (!Array.isArray(glossary)) {
+      return options;
+    }
+
+    const terms = glossary
+      .filter(term => !term.targetLanguage || term.targetLanguage === language)
+      .map(({ source, target }) => ({ source, target }));
+    return terms.length > 0 ? { ...options, glossary: terms } : options;
+  }
+
+  getBearerHeaders(accessToken) {
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json'
+    };
+  }
+
+  /**
+   * Call an OAuth-protected endpoint, retrying once with a fresh token if Palabra answers 401
+   * @param {Function} request - (headers) => axios request promise
+   * @returns {Promise<Object>} Axios response
+   */
+  async withBearerToken(request) {
+    const accessToken = await palabraOAuthService.getValidToken();
+    try {
+      return await request(this.getBearerHeaders(accessToken));
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+
+      logger.warn('Palabra rejected the OAuth token; retrying with a fresh one', { url: error.config?.url });
+      const freshToken = await palabraOAuthService.refreshToken(accessToken);
+      return request(this.getBearerHeaders(freshToken));
+    }
+  }
+
+  async translateText(text, sourceLanguage, targetLanguage) {
+    const response = await this.withBearerToken(headers => axios.post(`${this.baseUrl}/translate`, {
+      text,
+      source_language: sourceLanguage,
+      target_language: targetLanguage
+    }, {
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    }));
+
+    const result = response.data?.data || response.data || {};
+    const translatedText = result.translated_text ?? result.translatedText;
+    if (typeof translatedText !== 'string') {
+      throw new Error('Invalid translation response from Palabra');
+    }
+
+    return {
+      translatedText,
+      confidence: result.confidence
+    };
+  }
+
+  async getSupportedLanguages() {
+    const response = await this.withBearerToken(headers => axios.get(`${this.baseUrl}/languages`, {
+      headers,
+      timeout: this.timeout
+    }));
+
+    const body = response.data?.data ?? response.data;
+    const languages = Array.isArray(body) ? body : body?.languages;
+    if (!Array.isArray(languages)) {
+      throw new Error('Invalid languages response from Palabra');
+    }
+
+    // Entries are either bare codes or { code, name } objects
+    return languages
+      .map(language => (typeof language === 'string' ? { code: language, name: language } : {
+        code: language.code,
+        name: language.name || language.code
+      }))
+      .filter(language => typeof language.code === 'string' && language.code.length > 0);
+  }
+
+  async createSession({ channel, sourceLanguage, targetLanguage, options = {} }) {
+    const sessionRequest = {
+      channel_name: channel,
+      source_language: sourceLanguage,
+      target_language: targetLanguage,
+      audio_format: options.audioFormat || 'pcm',
+      sample_rate: options.sampleRate || 16000,
+      channels: options.channels || 1,
+      ...options
+    };
+
+    const response = await this.withBearerToken(headers => axios.post(`${this.baseUrl}/sessions`, sessionRequest, {
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    }));
+
+    if (!response.data.session_id) {
+      throw new Error('Invalid session response from Palabra');
+    }
+
+    return {
+      sessionId: response.data.session_id,
+      streamUrl: response.data.stream_url,
+      websocketUrl: response.data.websocket_url
+    };
+  }
+
+  async sessionExists(sessionId) {
+    try {
+      await this.withBearerToken(headers => axios.get(`${this.baseUrl}/sessions/${sessionId}`, {
+        headers,
+        timeout: this.timeout
+      }));
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async endSession(sessionId) {
+    await this.withBearerToken(headers => axios.delete(`${this.baseUrl}/sessions/${sessionId}`, {
+      headers,
+      timeout: this.timeout
+    }));
+  }
+
+  async startAgoraTask({
+    channel,
+    channelTokenData,
+    receiverTokenData,
+    translatorTokens,
+    sourceLanguage,
+    srOptions = {},
+    translationOptions = {}
+  }) {
+    const url = `${this.baseUrl}/agora/translations`;
+    const targetLanguages = Object.keys(translatorTokens);
+
+    const body = {
+      channel: channelTokenData.channel || channel,
+      remote_uid: channelTokenData.uid,
+      local_uid: receiverTokenData.uid,
+      token: receiverTokenData.token,
+      speech_recognition: {
+        source_language: sourceLanguage,
+        options: srOptions || {}
+      },
+      translations: targetLanguages.map((language) => ({
+        token: translatorTokens[language].token,
+        local_uid: translatorTokens[language].uid,
+        target_language: language,
+        options: this.getTranslationOptions(translationOptions || {}, language)
+      }))
+    };
+
+    logger.info('Calling Palabra /agora/translations', {
+      url,
+      channel: body.channel,
+      sourceLanguage,
+      targetLanguages
+    });
+
+    const response = await axios.post(url, body, {
+      headers: {
+        ...this.getClientHeaders(),
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    });
+
+    return {
+      taskId: response.data?.data?.task_id || response.data?.task_id || null,
+      raw: response.data
+    };
+  }
+
+  async getAgoraTaskStatus(taskId) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/agora/translations/${taskId}`, {
+        headers: this.getClientHeaders(),
+        timeout: this.timeout
+      });
+      // Unrecognised states are treated as running
+      const status = toTaskStatus(response.data?.data?.status || response.data?.status);
+      return status || TASK_STATUSES.RUNNING;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return TASK_STATUSES.GONE;
+      }
+      throw error;
+    }
+  }
+
+  async stopAgoraTask(taskId) {
+    const url = `${this.baseUrl}/agora/translations/${taskId}`;
+    logger.info('Calling Palabra DELETE /agora/translations/{taskId}', { url, taskId });
+    await axios.delete(url, {
+      headers: this.getClientHeaders(),
+      timeout: this.timeout
+    });
+  }
+
+  openCaptionStream(taskId, { onCaption, onClose }) {
+    const url = this.captionStreamUrl.replace('{taskId}', encodeURIComponent(taskId));
+    const socket = new WebSocket(url, { headers: this.getClientHeaders(), handshakeTimeout: this.timeout });
+    let failure = null;
+
+    socket.on('message', (raw) => {
+      try {
+        const message = JSON.parse(raw.toString());
+        const type = CAPTION_MESSAGE_TYPES[message.message_type];
+        if (!type) {
+          return;
+        }
+
+        // `data` arrives either as an object or as a JSON string
+        const data = typeof message.data === 'string' ? JSON.parse(message.data) : message.data;
+        const transcription = data?.transcription;
+        if (!transcription?.text) {
+          return;
+        }
+
+        onCaption({
+          ...type,
+          language: transcription.language,
+          text: transcription.text,
+          captionId: transcription.transcription_id || null
+        });
+      } catch (error) {
+        logger.warn('Ignoring malformed Palabra result stream message', { taskId, error: error.message });
+      }
+    });
+    socket.on('error', (error) => {
+      failure = error;
+    });
+    socket.on('close', () => onClose(failure));
+
+    return {
+      close: () => socket.close()
+    };
+  }
+}
+
+export default PalabraProvider;
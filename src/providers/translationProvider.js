@@ -0,0 +1,126 @@
+/**
+ * Health of a remote Agora translation task
+ */
+export const TASK_STATUSES = {
+  RUNNING: 'running',
+  FAILED: 'failed',
+  GONE: 'gone'
+};
+
+/**
+ * Kinds of caption text
+ */
+export const CAPTION_KINDS = {
+  TRANSCRIPTION: 'transcription',
+  TRANSLATION: 'translation'
+};
+
+/**
+ * Interface every translation backend implements
+ * Services (text translation, streaming sessions, Agora tasks) only talk to the active provider,
+ * so a new vendor is added by subclassing this and registering it with translationProviderService.
+ * Methods throw on transport errors; "not found" answers are part of the return value.
+ */
+export class TranslationProvider {
+  /**
+   * @param {string} name - Provider name (TRANSLATION_PROVIDER)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} True if usable
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Translate a piece of text
+   * @param {string} text - Text to translate
+   * @param {string} sourceLanguage - Source language code
+   * @param {string} targetLanguage - Target language code
+   * @returns {Promise<{ translatedText: string, confidence?: number }>} Translation
+   */
+  async translateText(text, sourceLanguage, targetLanguage) {
+    throw new Error(`${this.name} provider does not support text translation`);
+  }
+
+  /**
+   * Languages the provider can translate
+   * @returns {Promise<Array<{ code: string, name: string }>>} Languages
+   */
+  async getSupportedLanguages() {
+    return [];
+  }
+
+  /**
+   * Open a streaming translation session
+   * @param {Object} params - { channel, sourceLanguage, targetLanguage, options }
+   * @returns {Promise<{ sessionId: string, streamUrl?: string, websocketUrl?: string }>} Session
+   */
+  async createSession(params) {
+    throw new Error(`${this.name} provider does not support streaming sessions`);
+  }
+
+  /**
+   * Check whether a session still exists
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} False if the provider no longer knows it
+   */
+  async sessionExists(sessionId) {
+    throw new Error(`${this.name} provider does not support streaming sessions`);
+  }
+
+  /**
+   * Close a streaming translation session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async endSession(sessionId) {
+    throw new Error(`${this.name} provider does not support streaming sessions`);
+  }
+
+  /**
+   * Start a task translating one speaker of an Agora channel into one track per target language
+   * @param {Object} params - { channel, channelTokenData, receiverTokenData, translatorTokens, sourceLanguage, srOptions, translationOptions }
+   * @returns {Promise<{ taskId: string, raw: Object }>} Task ID and the provider's response
+   */
+  async startAgoraTask(params) {
+    throw new Error(`${this.name} provider does not support Agora translation tasks`);
+  }
+
+  /**
+   * Get the status of an Agora translation task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<string>} TASK_STATUSES value
+   */
+  async getAgoraTaskStatus(taskId) {
+    throw new Error(`${this.name} provider does not support Agora translation tasks`);
+  }
+
+  /**
+   * Stop an Agora translation task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<void>}
+   */
+  async stopAgoraTask(taskId) {
+    throw new Error(`${this.name} provider does not support Agora translation tasks`);
+  }
+
+  /**
+   * Stream the live transcription and translation text of an Agora translation task
+   * @param {string} taskId - Task ID
+   * @param {Object} handlers
+   * @param {Function} handlers.onCaption - Called with { kind, language, text, isFinal, captionId }
+   * @param {Function} handlers.onClose - Called once when the stream ends, with the error if it failed
+   * @returns {{ close: Function }} Handle closing the stream
+   */
+  openCaptionStream(taskId, handlers) {
+    throw new Error(`${this.name} provider does not support caption streams`);
+  }
+}
+
+export default TranslationProvider;
@@ -1,5 +1,9 @@
 import express from 'express';
 import translationSessionController from '../controllers/translationSessionController.js';
+import agoraTaskController from '../controllers/agoraTaskController.js';
+import glossaryController from '../controllers/glossaryController.js';
+import captionController from '../controllers/captionController.js';
+import transcriptController from '../controllers/transcriptController.js';
 
 const router = express.Router();
 
@@ -18,5 +22,55 @@ router.get('/sessions', translationSessionController.getAllSessions.bind(transla
 // Get OAuth status
 router.get('/oauth/status', translationSessionController.getOAuthStatus.bind(translationSessionController));
 
-export default router;
+// Get supported languages
+router.get('/languages', translationSessionController.getSupportedLanguages.bind(translationSessionController));
+
+// List all running Agora translation tasks
+router.get('/agora-tasks', agoraTaskController.getAllTasks.bind(agoraTaskController));
+
+// Start (or join) an Agora translation task
+router.post('/agora-tasks', agoraTaskController.startTask.bind(agoraTaskController));
+
+// List Agora translation tasks in a channel (one per speaker)
+router.get('/agora-tasks/:channel', agoraTaskController.getChannelTasks.bind(agoraTaskController));
+
+// Stop the Agora translation tasks in a channel (or one speaker's with ?speakerUid=)
+router.delete('/agora-tasks/:channel', agoraTaskController.stopTasks.bind(agoraTaskController));
+
+// Get one speaker's Agora translation task
+router.get('/agora-tasks/:channel/:speakerUid', agoraTaskController.getTask.bind(agoraTaskController));
+
+// Stop one speaker's Agora translation task
+router.delete('/agora-tasks/:channel/:speakerUid', agoraTaskController.stopTasks.bind(agoraTaskController));
+
+// Add target languages to a running Agora translation task
+router.post('/agora-tasks/:channel/languages', agoraTaskController.addLanguages.bind(agoraTaskController));
+
+// Remove a target language from a running Agora translation task
+router.delete('/agora-tasks/:channel/languages/:language', agoraTaskController.removeLanguage.bind(agoraTaskController));
 
+// List glossaries
+router.get('/glossaries', glossaryController.getGlossaries.bind(glossaryController));
+
+// Create a glossary
+router.post('/glossaries', glossaryController.createGlossary.bind(glossaryController));
+
+// Get a glossary
+router.get('/glossaries/:id', glossaryController.getGlossary.bind(glossaryController));
+
+// Replace a glossary
+router.put('/glossaries/:id', glossaryController.updateGlossary.bind(glossaryController));
+
+// Delete a glossary
+router.delete('/glossaries/:id', glossaryController.deleteGlossary.bind(glossaryController));
+
+// Push a live caption (CAPTION_SOURCE=http)
+router.post('/captions', captionController.pushCaption.bind(captionController));
+
+// Export a channel's transcript (?format=json|srt|vtt|txt&language=&speakerUid=)
+router.get('/transcripts/:channel', transcriptController.getTranscript.bind(transcriptController));
+
+// Delete a channel's transcript
+router.delete('/transcripts/:channel', transcriptController.deleteTranscript.bind(transcriptController));
+
+export default router;
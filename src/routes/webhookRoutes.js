@@ -0,0 +1,36 @@
+import express from 'express';
+import webhookController from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+// Task lifecycle events from Palabra (signed with PALABRA_WEBHOOK_SECRET)
+router.post('/palabra', webhookController.receivePalabraEvent.bind(webhookController));
+
+// List webhook subscriptions
+router.get('/subscriptions', webhookController.getSubscriptions.bind(webhookController));
+
+// Subscribe a URL to lifecycle events
+router.post('/subscriptions', webhookController.createSubscription.bind(webhookController));
+
+// Get a webhook subscription
+router.get('/subscriptions/:id', webhookController.getSubscription.bind(webhookController));
+
+// Replace a webhook subscription
+router.put('/subscriptions/:id', webhookController.updateSubscription.bind(webhookController));
+
+// Delete a webhook subscription
+router.delete('/subscriptions/:id', webhookController.deleteSubscription.bind(webhookController));
+
+// List failed deliveries
+router.get('/dead-letters', webhookController.getDeadLetters.bind(webhookController));
+
+// Replay every failed delivery (optionally { subscriptionId })
+router.post('/dead-letters/replay', webhookController.replayDeadLetters.bind(webhookController));
+
+// Replay one failed delivery
+router.post('/dead-letters/:id/replay', webhookController.replayDeadLetter.bind(webhookController));
+
+// Delete a failed delivery
+router.delete('/dead-letters/:id', webhookController.deleteDeadLetter.bind(webhookController));
+
+export default router;
@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { namedError } from '../utils/errors.js';
+
+const JWT_HMAC_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512'
+};
+
+/**
+ * Build an error the global error handler maps to 401
+ * @param {string} message - Error message
+ * @returns {Error} Unauthorized error
+ */
+const unauthorized = (message) => namedError('UnauthorizedError', message);
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if equal
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+const decodeBase64UrlJson = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+class AuthService {
+  constructor() {
+    this.enabled = config.auth.enabled;
+    this.apiKeys = this.parseApiKeys(config.auth.apiKeys);
+    this.jwt = config.auth.jwt;
+    // Strategy name -> (credentials) => identity | null
+    this.strategies = new Map();
+
+    this.registerStrategy('apiKey', (credentials) => this.verifyApiKey(credentials.apiKey));
+    this.registerStrategy('jwt', (credentials) => this.verifyJwt(credentials.bearerToken));
+
+    if (!this.enabled) {
+      logger.warn('Authentication is disabled. Set AUTH_ENABLED=true to protect the API and Socket.IO.');
+    } else if (this.apiKeys.size === 0 && !this.jwt.secret) {
+      logger.warn('Authentication is enabled but no API keys or JWT secret are configured; every request will be rejected.');
+    }
+  }
+
+  /**
+   * Parse `key:clientId` pairs from config
+   * @param {string} raw - Comma separated list (client ID optional)
+   * @returns {Map} API key -> client ID
+   */
+  parseApiKeys(raw) {
+    const keys = new Map();
+    for (const entry of (raw || '').split(',').map(item => item.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const key = separator === -1 ? entry : entry.slice(0, separator);
+      const clientId = separator === -1 ? `api-key-${keys.size + 1}` : entry.slice(separator + 1);
+      keys.set(key, clientId);
+    }
+    return keys;
+  }
+
+  /**
+   * Register an authentication strategy
+   * Strategies run in registration order; the first one returning an identity wins.
+   * @param {string} name - Strategy name
+   * @param {Function} verify - (credentials) => identity | null, may throw an UnauthorizedError
+   */
+  registerStrategy(name, verify) {
+    this.strategies.set(name, verify);
+  }
+
+  /**
+   * Extract credentials from HTTP-style headers
+   * @param {Object} headers - Request or handshake headers
+   * @returns {{ apiKey: string|null, bearerToken: string|null }} Credentials
+   */
+  extractCredentials(headers = {}) {
+    const authorization = headers.authorization || '';
+    const [scheme, value] = authorization.split(' ');
+
+    return {
+      apiKey: headers['x-api-key'] || (/^apikey$/i.test(scheme) ? value : null) || null,
+      bearerToken: /^bearer$/i.test(scheme) ? value : null
+    };
+  }
+
+  /**
+   * ID that tells authenticated callers apart
+   * @param {Object} [identity] - Identity returned by authenticate
+   * @returns {string|null} Identity ID, or null for the anonymous identity used while auth is disabled
+   */
+  getIdentityId(identity) {
+    return identity && identity.type !== 'anonymous' ? identity.id : null;
+  }
+
+  /**
+   * Authenticate a set of credentials
+   * @param {Object} credentials - { apiKey, bearerToken }
+   * @returns {Object} Identity { id, type, tenant, roles, claims }
+   */
+  authenticate(credentials = {}) {
+    if (!this.enabled) {
+      return { id: 'anonymous', type: 'anonymous', tenant: null, roles: [], claims: {} };
+    }
+
+    if (!credentials.apiKey && !credentials.bearerToken) {
+      throw unauthorized('Missing credentials (API key or bearer token)');
+    }
+
+    for (const [name, verify] of this.strategies.entries()) {
+      const identity = verify(credentials);
+      if (identity) {
+        logger.debug('Authenticated request', { strategy: name, id: identity.id });
+        return identity;
+      }
+    }
+
+    throw unauthorized('Invalid credentials');
+  }
+
+  /**
+   * Verify an API key
+   * @param {string} apiKey - API key
+   * @returns {Object|null} Identity or null if no key was given
+   */
+  verifyApiKey(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+
+    for (const [key, clientId] of this.apiKeys.entries()) {
+      if (safeEqual(key, apiKey)) {
+        return { id: clientId, type: 'apiKey', tenant: clientId, roles: [], claims: {} };
+      }
+    }
+
+    throw unauthorized('Invalid API key');
+  }
+
+  /**
+   * Verify an HMAC-signed JWT locally
+   * @param {string} token - Compact JWT
+   * @returns {Object|null} Identity or null if no token was given
+   */
+  verifyJwt(token) {
+    if (!token) {
+      return null;
+    }
+
+    if (!this.jwt.secret) {
+      throw unauthorized('JWT authentication is not configured');
+    }
+
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      throw unauthorized('Malformed JWT');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = segments;
+    let header;
+    let payload;
+    try {
+      header = decodeBase64UrlJson(encodedHeader);
+      payload = decodeBase64UrlJson(encodedPayload);
+    } catch (error) {
+      throw unauthorized('Malformed JWT');
+    }
+
+    const digest = JWT_HMAC_ALGORITHMS[header.alg];
+    if (!digest || !this.jwt.algorithms.includes(header.alg)) {
+      throw unauthorized(`Unsupported JWT algorithm: ${header.alg}`);
+    }
+
+    const expected = crypto
+      .createHmac(digest, this.jwt.secret)
+      .update(`${encodedHeader}.${encodedPayload}`)
+      .digest('base64url');
+    if (!safeEqual(expected, signature)) {
+      throw unauthorized('Invalid JWT signature');
+    }
+
+    const nowTs = Math.floor(Date.now() / 1000);
+    const tolerance = this.jwt.clockToleranceSeconds;
+    if (typeof payload.exp === 'number' && nowTs - tolerance >= payload.exp) {
+      throw unauthorized('JWT has expired');
+    }
+    if (typeof payload.nbf === 'number' && nowTs + tolerance < payload.nbf) {
+      throw unauthorized('JWT is not yet valid');
+    }
+    if (this.jwt.issuer && payload.iss !== this.jwt.issuer) {
+      throw unauthorized('Invalid JWT issuer');
+    }
+    if (this.jwt.audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(this.jwt.audience)) {
+        throw unauthorized('Invalid JWT audience');
+      }
+    }
+    if (!payload.sub) {
+      throw unauthorized('JWT is missing a subject');
+    }
+
+    return {
+      id: String(payload.sub),
+      type: 'jwt',
+      tenant: payload.tenant || null,
+      roles: Array.isArray(payload.roles) ? payload.roles : [],
+      claims: payload
+    };
+  }
+}
+
+export default new AuthService();
@@ -0,0 +1,233 @@
+import { EventEmitter } from 'events';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { isValidLanguageCode } from '../utils/validation.js';
+import { CAPTION_KINDS } from '../providers/translationProvider.js';
+import palabraAgoraService from './palabraAgoraService.js';
+import translationProviderService from './translationProviderService.js';
+import { namedError } from '../utils/errors.js';
+
+/**
+ * Where caption text comes from
+ */
+export const CAPTION_SOURCES = {
+  PROVIDER: 'provider',
+  HTTP: 'http',
+  OFF: 'off'
+};
+
+// Task events after which the set of Palabra tasks (and so of result streams) may have changed
+const TASK_EVENTS = ['task_started', 'task_stopped', 'task_languages_changed', 'task_tokens_renewed', 'task_failed'];
+
+class CaptionService extends EventEmitter {
+  constructor() {
+    super();
+    this.source = config.captions.source;
+    this.streamSyncInterval = config.captions.streamSyncInterval;
+    // provider task ID -> { handle, channel, speakerUid } of its open result stream
+    this.streams = new Map();
+    this.streamSyncTimer = null;
+    this.relayed = { partial: 0, final: 0 };
+
+    // Without auth anyone could push captions (and transcript lines) into any channel
+    if (this.source === CAPTION_SOURCES.HTTP && !config.auth.enabled) {
+      logger.warn('CAPTION_SOURCE=http needs AUTH_ENABLED=true; not accepting pushed captions');
+      this.source = CAPTION_SOURCES.OFF;
+    }
+
+    if (this.source === CAPTION_SOURCES.PROVIDER) {
+      for (const event of TASK_EVENTS) {
+        palabraAgoraService.on(event, () => this.syncStreams());
+      }
+      this.startStreamSync();
+    }
+  }
+
+  /**
+   * Whether captions may be pushed over HTTP
+   * @returns {boolean} True with CAPTION_SOURCE=http
+   */
+  acceptsPushedCaptions() {
+    return this.source === CAPTION_SOURCES.HTTP;
+  }
+
+  /**
+   * Validate a caption
+   * @param {Object} caption - { channel, speakerUid, language, text, isFinal, kind }
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  validateCaption({ channel, speakerUid, language, text, isFinal, kind } = {}) {
+    const errors = [];
+
+    if (!channel || typeof channel !== 'string') {
+      errors.push('Channel name is required');
+    }
+
+    if (speakerUid === undefined || speakerUid === null || Number.isNaN(Number(speakerUid))) {
+      errors.push('A numeric speakerUid is required');
+    }
+
+    if (!isValidLanguageCode(language)) {
+      errors.push('A valid language code is required');
+    }
+
+    if (typeof text !== 'string' || !text.trim()) {
+      errors.push('Caption text is required');
+    }
+
+    if (typeof isFinal !== 'boolean') {
+      errors.push('isFinal must be a boolean');
+    }
+
+    if (kind !== undefined && !Object.values(CAPTION_KINDS).includes(kind)) {
+      errors.push(`Kind must be one of: ${Object.values(CAPTION_KINDS).join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Accept a caption for a running speaker task and emit it as a `caption` event
+   * @param {Object} caption - { channel, speakerUid, language, text, isFinal, kind, captionId, taskId }
+   * @param {string} source - CAPTION_SOURCES value it came from
+   * @returns {Object} The relayed caption
+   */
+  ingest(caption, source) {
+    const validation = this.validateCaption(caption);
+    if (!validation.isValid) {
+      throw namedError('ValidationError', validation.errors.join('; '));
+    }
+
+    const task = palabraAgoraService.getTask(caption.channel, caption.speakerUid);
+    if (!task) {
+      throw namedError(
+        'NotFoundError',
+        `No active translation task for speaker ${caption.speakerUid} in channel ${caption.channel}`
+      );
+    }
+
+    const kind = caption.kind || (caption.language === task.sourceLanguage
+      ? CAPTION_KINDS.TRANSCRIPTION
+      : CAPTION_KINDS.TRANSLATION);
+
+    const relayed = {
+      channel: task.channel,
+      speakerUid: task.speakerUid,
+      language: caption.language,
+      kind,
+      text: caption.text,
+      isFinal: caption.isFinal,
+      captionId: caption.captionId || null,
+      taskId: caption.taskId || null,
+      source,
+      timestamp: new Date().toISOString()
+    };
+
+    this.relayed[relayed.isFinal ? 'final' : 'partial']++;
+    this.emit('caption', relayed);
+    return relayed;
+  }
+
+  /**
+   * Open a result stream for every running provider task and close streams of tasks that are gone
+   */
+  syncStreams() {
+    if (this.source !== CAPTION_SOURCES.PROVIDER) {
+      return;
+    }
+
+    const wanted = new Map(); // task ID -> { channel, speakerUid }
+    for (const task of palabraAgoraService.activeTasks.values()) {
+      for (const segment of task.segments) {
+        wanted.set(segment.taskId, { channel: task.channel, speakerUid: task.speakerUid });
+      }
+    }
+
+    for (const [taskId, stream] of this.streams) {
+      if (!wanted.has(taskId)) {
+        this.streams.delete(taskId);
+        stream.handle.close();
+      }
+    }
+
+    for (const [taskId, target] of wanted) {
+      if (!this.streams.has(taskId)) {
+        this.openStream(taskId, target);
+      }
+    }
+  }
+
+  /**
+   * Open the provider's result stream for one task
+   * @param {string} taskId - Provider task ID
+   * @param {Object} target - { channel, speakerUid } the task translates
+   */
+  openStream(taskId, { channel, speakerUid }) {
+    const stream = { channel, speakerUid, handle: null };
+    this.streams.set(taskId, stream);
+
+    try {
+      stream.handle = translationProviderService.getProvider().openCaptionStream(taskId, {
+        onCaption: (caption) => {
+          try {
+            this.ingest({ ...caption, channel, speakerUid, taskId }, CAPTION_SOURCES.PROVIDER);
+          } catch (error) {
+            logger.debug('Dropped caption from result stream', { taskId, error: error.message });
+          }
+        },
+        onClose: (error) => {
+          // The next sync reopens it if the task is still running
+          if (this.streams.get(taskId) === stream) {
+            this.streams.delete(taskId);
+          }
+          logger.info('Caption stream closed', { channel, speakerUid, taskId, error: error?.message });
+        }
+      });
+      logger.info('Caption stream opened', { channel, speakerUid, taskId });
+    } catch (error) {
+      this.streams.delete(taskId);
+      logger.error('Failed to open caption stream', { channel, speakerUid, taskId, error: error.message });
+    }
+  }
+
+  /**
+   * Start periodic result stream sync (reopens streams that dropped, picks up restored tasks)
+   */
+  startStreamSync() {
+    this.streamSyncTimer = setInterval(() => this.syncStreams(), this.streamSyncInterval);
+    logger.info('Started caption stream sync', { interval: this.streamSyncInterval });
+  }
+
+  /**
+   * Stop periodic result stream sync and close every stream
+   */
+  stopStreamSync() {
+    if (this.streamSyncTimer) {
+      clearInterval(this.streamSyncTimer);
+      this.streamSyncTimer = null;
+      logger.info('Stopped caption stream sync');
+    }
+
+    for (const [taskId, stream] of this.streams) {
+      this.streams.delete(taskId);
+      stream.handle?.close();
+    }
+  }
+
+  /**
+   * Get caption statistics
+   * @returns {Object} Caption statistics
+   */
+  getStats() {
+    return {
+      source: this.source,
+      openStreams: this.streams.size,
+      relayed: { ...this.relayed }
+    };
+  }
+}
+
+export default new CaptionService();
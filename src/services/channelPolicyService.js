@@ -0,0 +1,244 @@
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import authService from './authService.js';
+import uidAllocatorService, { UID_KINDS } from './uidAllocatorService.js';
+import { TOKEN_ROLES } from './tokenService.js';
+
+// Agora channel names: at most 64 bytes of letters, digits, space and the punctuation below
+const AGORA_CHANNEL_NAME_PATTERN = /^[a-zA-Z0-9 !#$%&()+\-:;<=.>?@[\]^_{}|~,]+$/;
+const AGORA_CHANNEL_NAME_MAX_BYTES = 64;
+
+/**
+ * Policy rejection reason codes
+ */
+export const POLICY_REASONS = {
+  CHANNEL_NAME_INVALID: 'CHANNEL_NAME_INVALID',
+  TENANT_PREFIX_MISMATCH: 'TENANT_PREFIX_MISMATCH',
+  PUBLISHER_NOT_ALLOWED: 'PUBLISHER_NOT_ALLOWED',
+  CHANNEL_FULL: 'CHANNEL_FULL'
+};
+
+class ChannelPolicyService {
+  constructor() {
+    this.tenantPrefixes = this.parseTenantPrefixes(config.policy.tenantPrefixes);
+    this.hostAllowlist = new Set(config.policy.hostAllowlist);
+    this.hostRoles = new Set(config.policy.hostRoles);
+    this.adminRoles = new Set(config.policy.adminRoles);
+    this.maxParticipants = config.policy.maxParticipants;
+    // Rule name -> (request) => reason | null
+    this.rules = new Map();
+
+    this.registerRule('tenantPrefix', (request) => this.checkTenantPrefix(request));
+    this.registerRule('hostAllowlist', (request) => this.checkHostAllowlist(request));
+    this.registerRule('participantCap', (request) => this.checkParticipantCap(request));
+  }
+
+  /**
+   * Parse `tenant:prefix` pairs from config (a tenant may appear more than once)
+   * @param {string} raw - Comma separated list
+   * @returns {Map} tenant -> prefixes
+   */
+  parseTenantPrefixes(raw) {
+    const prefixes = new Map();
+    for (const entry of (raw || '').split(',').map(item => item.trim()).filter(Boolean)) {
+      // Split on the first `:` only; prefixes may contain `:` themselves
+      const separator = entry.indexOf(':');
+      const tenant = separator === -1 ? entry : entry.slice(0, separator);
+      const prefix = separator === -1 ? '' : entry.slice(separator + 1);
+      if (!tenant || !prefix) {
+        logger.warn('Ignoring malformed tenant channel prefix', { entry });
+        continue;
+      }
+      prefixes.set(tenant, [...(prefixes.get(tenant) || []), prefix]);
+    }
+    return prefixes;
+  }
+
+  /**
+   * Register an access rule
+   * @param {string} name - Rule name
+   * @param {Function} check - (request) => { code, message } | null
+   */
+  registerRule(name, check) {
+    this.rules.set(name, check);
+  }
+
+  /**
+   * Check a channel name against Agora's length and character rules
+   * @param {string} channel - Channel name
+   * @returns {Object|null} Rejection reason or null if valid
+   */
+  validateChannelName(channel) {
+    if (typeof channel !== 'string' || channel.length === 0) {
+      return {
+        code: POLICY_REASONS.CHANNEL_NAME_INVALID,
+        message: 'Channel name is required and must be a string'
+      };
+    }
+
+    if (Buffer.byteLength(channel, 'utf8') > AGORA_CHANNEL_NAME_MAX_BYTES) {
+      return {
+        code: POLICY_REASONS.CHANNEL_NAME_INVALID,
+        message: `Channel name must be at most ${AGORA_CHANNEL_NAME_MAX_BYTES} bytes`
+      };
+    }
+
+    if (!AGORA_CHANNEL_NAME_PATTERN.test(channel)) {
+      return {
+        code: POLICY_REASONS.CHANNEL_NAME_INVALID,
+        message: 'Channel name contains characters Agora does not allow'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate whether an identity may get a token for a channel
+   * @param {Object} request
+   * @param {Object} [request.identity] - Authenticated identity (req.auth / socket.data.auth)
+   * @param {string} request.channel - Channel name
+   * @param {string} [request.role] - Requested role
+   * @param {number} [request.uid] - Requested UID
+   * @param {string} [request.account] - Requested string account
+   * @param {string} [request.owner] - Requesting socket ID; a UID or account the requester already holds is a
+   *   renewal, not a new participant
+   * @returns {{ allowed: boolean, status: number, reasons: Array }} Decision
+   */
+  evaluate({ identity = null, channel, role = config.token.defaultRole, uid = null, account = null, owner = null }) {
+    const nameReason = this.validateChannelName(channel);
+    if (nameReason) {
+      return { allowed: false, status: 400, reasons: [nameReason] };
+    }
+
+    const request = { identity, channel, role, uid, account, owner };
+    const reasons = [];
+    for (const check of this.rules.values()) {
+      const reason = check(request);
+      if (reason) {
+        reasons.push(reason);
+      }
+    }
+
+    if (reasons.length > 0) {
+      logger.warn('Channel access denied', {
+        identity: identity?.id,
+        channel,
+        role,
+        reasons: reasons.map(reason => reason.code)
+      });
+      return { allowed: false, status: 403, reasons };
+    }
+
+    return { allowed: true, status: 200, reasons: [] };
+  }
+
+  /**
+   * Evaluate whether an identity may act on a channel's translation resources (tasks, captions, transcripts)
+   * No token is minted, so only the channel name and tenant prefix rules apply.
+   * @param {Object} request
+   * @param {Object} [request.identity] - Authenticated identity (req.auth / socket.data.auth)
+   * @param {string} request.channel - Channel name
+   * @returns {{ allowed: boolean, status: number, reasons: Array }} Decision
+   */
+  evaluateChannelAccess({ identity = null, channel }) {
+    const nameReason = this.validateChannelName(channel);
+    if (nameReason) {
+      return { allowed: false, status: 400, reasons: [nameReason] };
+    }
+
+    const reason = this.checkTenantPrefix({ identity, channel });
+    if (reason) {
+      logger.warn('Channel access denied', { identity: identity?.id, channel, reasons: [reason.code] });
+      return { allowed: false, status: 403, reasons: [reason] };
+    }
+
+    return { allowed: true, status: 200, reasons: [] };
+  }
+
+  /**
+   * Whether an identity may change or stop a shared translation task for everyone: it started the task
+   * (from the same socket or API caller, or as the same authenticated identity), or it has one of the
+   * CHANNEL_ADMIN_ROLES
+   * @param {Object} request
+   * @param {Object} [request.identity] - Authenticated identity (req.auth / socket.data.auth)
+   * @param {string} request.startedBy - Requester as recorded on tasks (socket ID or `api:<identity>`)
+   * @param {Object} request.task - Stored channel task
+   * @returns {boolean} True if allowed
+   */
+  canManageTask({ identity = null, startedBy, task }) {
+    if ((identity?.roles || []).some(role => this.adminRoles.has(role))) {
+      return true;
+    }
+
+    const identityId = authService.getIdentityId(identity);
+    return Boolean(
+      (startedBy && task.startedBy === startedBy) ||
+      (identityId && task.ownerIdentity === identityId)
+    );
+  }
+
+  /**
+   * Whether a channel belongs to a tenant, i.e. starts with one of the CHANNEL_TENANT_PREFIXES
+   * @param {string} channel - Channel name
+   * @returns {boolean} True if some tenant's prefix matches
+   */
+  isTenantChannel(channel) {
+    return Array.from(this.tenantPrefixes.values()).some(prefixes => prefixes.some(prefix => channel.startsWith(prefix)));
+  }
+
+  checkTenantPrefix({ identity, channel }) {
+    const prefixes = identity?.tenant ? this.tenantPrefixes.get(identity.tenant) : null;
+    if (!prefixes || prefixes.some(prefix => channel.startsWith(prefix))) {
+      return null;
+    }
+
+    return {
+      code: POLICY_REASONS.TENANT_PREFIX_MISMATCH,
+      message: `Tenant ${identity.tenant} may only use channels starting with: ${prefixes.join(', ')}`
+    };
+  }
+
+  checkHostAllowlist({ identity, role }) {
+    if (role !== TOKEN_ROLES.PUBLISHER || (this.hostAllowlist.size === 0 && this.hostRoles.size === 0)) {
+      return null;
+    }
+
+    const isListedHost = identity?.id && this.hostAllowlist.has(identity.id);
+    const hasHostRole = (identity?.roles || []).some(name => this.hostRoles.has(name));
+    if (isListedHost || hasHostRole) {
+      return null;
+    }
+
+    return {
+      code: POLICY_REASONS.PUBLISHER_NOT_ALLOWED,
+      message: 'Only allowlisted hosts may get a publisher token'
+    };
+  }
+
+  checkParticipantCap({ identity, channel, uid, account, owner }) {
+    if (!this.maxParticipants) {
+      return null;
+    }
+
+    const requester = { owner, identity: authService.getIdentityId(identity) };
+    if ((account || (uid !== null && uid !== undefined)) &&
+      uidAllocatorService.holds(channel, { uid, account }, requester)) {
+      return null;
+    }
+
+    const participants = uidAllocatorService.getChannelUids(channel)
+      .filter(entry => entry.kind === UID_KINDS.USER).length +
+      uidAllocatorService.getChannelAccounts(channel).length;
+    if (participants < this.maxParticipants) {
+      return null;
+    }
+
+    return {
+      code: POLICY_REASONS.CHANNEL_FULL,
+      message: `Channel has reached its limit of ${this.maxParticipants} participants`
+    };
+  }
+}
+
+export default new ChannelPolicyService();
@@ -0,0 +1,310 @@
+import { EventEmitter } from 'events';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import palabraAgoraService from './palabraAgoraService.js';
+
+class ChannelPresenceService extends EventEmitter {
+  constructor() {
+    super();
+    this.idleStopEnabled = config.presence.idleStopEnabled;
+    this.idleGracePeriod = config.presence.idleGracePeriod;
+    this.idleCheckInterval = config.presence.idleCheckInterval;
+    // channel -> Set of socket IDs in the channel room
+    this.members = new Map();
+    // channel -> Map of socket ID -> preferred language for chat translation
+    this.preferredLanguages = new Map();
+    // channel -> Map of socket ID -> Agora UID the member joined with
+    this.memberUids = new Map();
+    // channel -> timestamp since which a channel with translation tasks has had nobody in it
+    this.emptySince = new Map();
+    this.idleCheckTimer = null;
+
+    // Start idle channel checks
+    if (this.idleStopEnabled) {
+      this.startIdleCheck();
+    }
+  }
+
+  /**
+   * Record a socket joining a channel room
+   * Emits `member_joined` the first time the socket joins the channel.
+   * @param {string} channel - Channel name
+   * @param {string} socketId - Socket ID
+   * @param {Object} [options]
+   * @param {string} [options.language] - Language the socket wants chat messages in
+   * @param {number} [options.uid] - Agora UID the member joined with
+   */
+  join(channel, socketId, { language, uid } = {}) {
+    if (!this.members.has(channel)) {
+      this.members.set(channel, new Set());
+    }
+    const isNew = !this.members.get(channel).has(socketId);
+    this.members.get(channel).add(socketId);
+    this.emptySince.delete(channel);
+
+    if (language) {
+      this.setPreferredLanguage(channel, socketId, language);
+    }
+
+    if (uid !== undefined && uid !== null) {
+      if (!this.memberUids.has(channel)) {
+        this.memberUids.set(channel, new Map());
+      }
+      this.memberUids.get(channel).set(socketId, uid);
+    }
+
+    if (isNew) {
+      this.emit('member_joined', {
+        channel,
+        socketId,
+        uid: uid ?? null,
+        language: language || null,
+        members: this.members.get(channel).size
+      });
+    }
+  }
+
+  /**
+   * Set (or with a falsy language, clear) a member's preferred language
+   * @param {string} channel - Channel name
+   * @param {string} socketId - Socket ID
+   * @param {string|null} language - Language code
+   * @returns {boolean} False if the socket is not in the channel
+   */
+  setPreferredLanguage(channel, socketId, language) {
+    if (!this.members.get(channel)?.has(socketId)) {
+      return false;
+    }
+
+    if (!this.preferredLanguages.has(channel)) {
+      this.preferredLanguages.set(channel, new Map());
+    }
+
+    const languages = this.preferredLanguages.get(channel);
+    if (language) {
+      languages.set(socketId, language);
+    } else {
+      languages.delete(socketId);
+    }
+    return true;
+  }
+
+  /**
+   * A member's preferred language
+   * @param {string} channel - Channel name
+   * @param {string} socketId - Socket ID
+   * @returns {string|null} Language code, or null if none was declared
+   */
+  getPreferredLanguage(channel, socketId) {
+    return this.preferredLanguages.get(channel)?.get(socketId) || null;
+  }
+
+  /**
+   * Group a channel's members by preferred language
+   * @param {string} channel - Channel name
+   * @param {string|null} fallbackLanguage - Language for members who declared none
+   * @returns {Map<string|null, Array<string>>} Language -> socket IDs
+   */
+  getLanguageGroups(channel, fallbackLanguage = null) {
+    const groups = new Map();
+    for (const socketId of this.getMembers(channel)) {
+      const language = this.getPreferredLanguage(channel, socketId) || fallbackLanguage;
+      if (!groups.has(language)) {
+        groups.set(language, []);
+      }
+      groups.get(language).push(socketId);
+    }
+    return groups;
+  }
+
+  /**
+   * Record a socket leaving a channel room
+   * Emits `member_left` if the socket was in the channel.
+   * @param {string} channel - Channel name
+   * @param {string} socketId - Socket ID
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Why the member left: 'left' | 'disconnect'
+   * @returns {boolean} True if the channel is now empty
+   */
+  leave(channel, socketId, { reason = 'left' } = {}) {
+    const members = this.members.get(channel);
+    if (!members?.has(socketId)) {
+      return false;
+    }
+
+    const uid = this.memberUids.get(channel)?.get(socketId) ?? null;
+    members.delete(socketId);
+    this.preferredLanguages.get(channel)?.delete(socketId);
+    this.memberUids.get(channel)?.delete(socketId);
+
+    const isEmpty = members.size === 0;
+    if (isEmpty) {
+      this.members.delete(channel);
+      this.preferredLanguages.delete(channel);
+      this.memberUids.delete(channel);
+      this.emptySince.set(channel, Date.now());
+      logger.debug('Channel is empty', { channel });
+    }
+
+    this.emit('member_left', { channel, socketId, uid, reason, members: members.size });
+    return isEmpty;
+  }
+
+  /**
+   * Remove a socket from every channel room (e.g. on disconnect)
+   * @param {string} socketId - Socket ID
+   * @param {Object} [options] - { reason } passed to leave
+   * @returns {Array<string>} Channels the socket was in
+   */
+  leaveAll(socketId, options = {}) {
+    const channels = Array.from(this.members.entries())
+      .filter(([, members]) => members.has(socketId))
+      .map(([channel]) => channel);
+
+    for (const channel of channels) {
+      this.leave(channel, socketId, options);
+    }
+    return channels;
+  }
+
+  /**
+   * Sockets currently in a channel room
+   * @param {string} channel - Channel name
+   * @returns {Array<string>} Socket IDs
+   */
+  getMembers(channel) {
+    return Array.from(this.members.get(channel) || []);
+  }
+
+  /**
+   * Whether anyone is in a channel: a socket in the room or a listener subscribed to one of its tasks
+   * @param {string} channel - Channel name
+   * @returns {boolean} True if occupied
+   */
+  isOccupied(channel) {
+    if (this.members.get(channel)?.size > 0) {
+      return true;
+    }
+
+    return palabraAgoraService.getChannelTasks(channel).some(task => (
+      Array.from(task.subscribers.values()).some(subscribers => subscribers.size > 0)
+    ));
+  }
+
+  /**
+   * Socket-started translation tasks of a channel, the ones idle checks may stop
+   * Tasks started or joined over the REST API (and restored ones without a known owner) are only
+   * stopped explicitly.
+   * @param {string} channel - Channel name
+   * @returns {Array<Object>} Stored tasks
+   */
+  getIdleStoppableTasks(channel) {
+    return palabraAgoraService.getChannelTasks(channel).filter(task => !task.managedByApi);
+  }
+
+  /**
+   * Stop socket-started translation tasks in channels that have been empty for longer than the grace period
+   * Restored tasks count as empty from the first check that sees them, so their listeners have the grace
+   * period to reconnect.
+   */
+  async checkIdleChannels() {
+    const now = Date.now();
+    const channels = new Set(Array.from(palabraAgoraService.activeTasks.values())
+      .filter(task => !task.managedByApi)
+      .map(task => task.channel));
+
+    // Forget channels whose tasks are gone
+    for (const channel of this.emptySince.keys()) {
+      if (!channels.has(channel)) {
+        this.emptySince.delete(channel);
+      }
+    }
+
+    for (const channel of channels) {
+      if (this.isOccupied(channel)) {
+        this.emptySince.delete(channel);
+        continue;
+      }
+
+      if (!this.emptySince.has(channel)) {
+        this.emptySince.set(channel, now);
+      }
+
+      const emptyFor = now - this.emptySince.get(channel);
+      if (emptyFor < this.idleGracePeriod) {
+        continue;
+      }
+
+      const speakerUids = this.getIdleStoppableTasks(channel).map(task => task.speakerUid);
+      try {
+        let stopped = true;
+        for (const speakerUid of speakerUids) {
+          stopped = await palabraAgoraService.stopTranslationTask(channel, speakerUid, { stoppedBy: 'idle-channel' }) && stopped;
+        }
+        // Tasks Palabra did not confirm stopping are kept; keep the channel idle so the next check retries them
+        if (stopped) {
+          this.emptySince.delete(channel);
+        }
+
+        logger.info('Stopped translation tasks in idle channel', {
+          event: 'channel_idle_tasks_stopped',
+          reason: 'channel_empty',
+          channel,
+          speakerUids,
+          emptyFor,
+          gracePeriod: this.idleGracePeriod,
+          allStopped: stopped
+        });
+
+        this.emit('idle_tasks_stopped', {
+          channel,
+          speakerUids,
+          reason: 'channel_empty',
+          emptyFor,
+          gracePeriod: this.idleGracePeriod
+        });
+      } catch (error) {
+        logger.error('Failed to stop translation tasks in idle channel', { channel, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Start automatic idle channel checks
+   */
+  startIdleCheck() {
+    this.idleCheckTimer = setInterval(() => {
+      this.checkIdleChannels().catch((error) => {
+        logger.error('Idle channel check failed', { error: error.message });
+      });
+    }, this.idleCheckInterval);
+
+    logger.info('Started idle channel checks', { gracePeriod: this.idleGracePeriod });
+  }
+
+  /**
+   * Stop automatic idle channel checks
+   */
+  stopIdleCheck() {
+    if (this.idleCheckTimer) {
+      clearInterval(this.idleCheckTimer);
+      this.idleCheckTimer = null;
+      logger.info('Stopped idle channel checks');
+    }
+  }
+
+  /**
+   * Get presence statistics
+   * @returns {Object} Presence statistics
+   */
+  getStats() {
+    return {
+      channels: this.members.size,
+      sockets: Array.from(this.members.values()).reduce((total, members) => total + members.size, 0),
+      idleChannels: this.emptySince.size,
+      idleGracePeriod: this.idleGracePeriod
+    };
+  }
+}
+
+export default new ChannelPresenceService();
@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { isValidLanguageCode } from '../utils/validation.js';
+import persistenceService, { COLLECTIONS } from './persistenceService.js';
+import channelPolicyService from './channelPolicyService.js';
+import { namedError } from '../utils/errors.js';
+
+/**
+ * What a glossary applies to
+ */
+export const GLOSSARY_SCOPES = {
+  TENANT: 'tenant',
+  CHANNEL: 'channel'
+};
+
+class GlossaryService {
+  constructor() {
+    this.glossaries = new Map(); // glossary ID -> glossary
+
+    for (const glossary of persistenceService.list(COLLECTIONS.GLOSSARIES)) {
+      this.glossaries.set(glossary.id, glossary);
+    }
+  }
+
+  /**
+   * Validate glossary fields
+   * @param {Object} input - { name, scope, channel, sourceLanguage, targetLanguage, terms }
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  validateGlossary({ name, scope, channel, sourceLanguage, targetLanguage, terms } = {}) {
+    const errors = [];
+
+    if (!name || typeof name !== 'string') {
+      errors.push('Glossary name is required');
+    }
+
+    if (!Object.values(GLOSSARY_SCOPES).includes(scope)) {
+      errors.push(`Scope must be one of: ${Object.values(GLOSSARY_SCOPES).join(', ')}`);
+    } else if (scope === GLOSSARY_SCOPES.CHANNEL && (!channel || typeof channel !== 'string')) {
+      errors.push('Channel name is required for channel glossaries');
+    }
+
+    if (!isValidLanguageCode(sourceLanguage) || !isValidLanguageCode(targetLanguage)) {
+      errors.push('Valid source and target language codes are required');
+    } else if (sourceLanguage === targetLanguage) {
+      errors.push('Source and target languages must differ');
+    }
+
+    if (!Array.isArray(terms)) {
+      errors.push('Terms must be an array of { source, target } pairs');
+    } else if (!terms.every(term => (
+      typeof term?.source === 'string' && term.source.trim() &&
+      typeof term?.target === 'string' && term.target.trim()
+    ))) {
+      errors.push('Every term needs a non-empty source and target');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Refuse a channel glossary for a channel outside the tenant's channel prefixes
+   * @param {Object} input - Validated glossary fields
+   * @param {string|null} tenant - Owning tenant
+   */
+  checkChannelOwnership({ scope, channel }, tenant) {
+    if (scope !== GLOSSARY_SCOPES.CHANNEL) {
+      return;
+    }
+
+    const reason = channelPolicyService.checkTenantPrefix({ identity: tenant ? { tenant } : null, channel });
+    if (reason) {
+      throw namedError('ForbiddenError', reason.message);
+    }
+  }
+
+  /**
+   * Create a glossary
+   * @param {Object} input - { name, scope, channel, sourceLanguage, targetLanguage, terms }
+   * @param {string|null} tenant - Owning tenant (the caller's)
+   * @returns {Object} Created glossary
+   */
+  createGlossary(input, tenant) {
+    const validation = this.validateGlossary(input);
+    if (!validation.isValid) {
+      throw namedError('ValidationError', validation.errors.join('; '));
+    }
+    this.checkChannelOwnership(input, tenant);
+
+    const now = new Date().toISOString();
+    const glossary = {
+      id: crypto.randomUUID(),
+      tenant: tenant || null,
+      ...this.pickFields(input),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.glossaries.set(glossary.id, glossary);
+    this.persistGlossary(glossary.id);
+
+    logger.info('Glossary created', {
+      glossaryId: glossary.id,
+      scope: glossary.scope,
+      channel: glossary.channel,
+      tenant: glossary.tenant,
+      terms: glossary.terms.length
+    });
+    return glossary;
+  }
+
+  /**
+   * Replace a glossary's fields
+   * @param {string} id - Glossary ID
+   * @param {Object} input - { name, scope, channel, sourceLanguage, targetLanguage, terms }
+   * @param {string|null} tenant - Caller's tenant
+   * @returns {Object} Updated glossary
+   */
+  updateGlossary(id, input, tenant) {
+    const existing = this.getGlossary(id, tenant);
+
+    const validation = this.validateGlossary(input);
+    if (!validation.isValid) {
+      throw namedError('ValidationError', validation.errors.join('; '));
+    }
+    this.checkChannelOwnership(input, tenant);
+
+    const glossary = {
+      ...existing,
+      ...this.pickFields(input),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.glossaries.set(id, glossary);
+    this.persistGlossary(id);
+
+    logger.info('Glossary updated', { glossaryId: id, terms: glossary.terms.length });
+    return glossary;
+  }
+
+  /**
+   * Delete a glossary
+   * @param {string} id - Glossary ID
+   * @param {string|null} tenant - Caller's tenant
+   */
+  deleteGlossary(id, tenant) {
+    this.getGlossary(id, tenant);
+    this.glossaries.delete(id);
+    this.persistGlossary(id);
+    logger.info('Glossary deleted', { glossaryId: id });
+  }
+
+  /**
+   * Get a glossary owned by a tenant
+   * Glossaries of other tenants are reported as missing.
+   * @param {string} id - Glossary ID
+   * @param {string|null} tenant - Caller's tenant
+   * @returns {Object} Glossary
+   */
+  getGlossary(id, tenant) {
+    const glossary = this.glossaries.get(id);
+    if (!glossary || glossary.tenant !== (tenant || null)) {
+      throw namedError('NotFoundError', `Glossary ${id} not found`);
+    }
+    return glossary;
+  }
+
+  /**
+   * List a tenant's glossaries
+   * @param {string|null} tenant - Caller's tenant
+   * @param {Object} [filters] - { scope, channel }
+   * @returns {Array<Object>} Glossaries
+   */
+  listGlossaries(tenant, { scope, channel } = {}) {
+    return Array.from(this.glossaries.values()).filter(glossary => (
+      glossary.tenant === (tenant || null) &&
+      (!scope || glossary.scope === scope) &&
+      (!channel || glossary.channel === channel)
+    ));
+  }
+
+  /**
+   * Terms that apply to a translation
+   * Tenant glossaries of the requester apply everywhere; the requester's channel glossaries apply to
+   * translations in that channel and win over tenant terms with the same source.
+   * @param {Object} context
+   * @param {string|null} [context.tenant] - Requester's tenant
+   * @param {string|null} [context.channel] - Channel the text belongs to
+   * @param {string} context.sourceLanguage - Source language code
+   * @param {string} [context.targetLanguage] - Target language code (all targets if omitted)
+   * @returns {Array<Object>} { source, target, targetLanguage } entries
+   */
+  getTerms({ tenant = null, channel = null, sourceLanguage, targetLanguage }) {
+    const applicable = Array.from(this.glossaries.values()).filter(glossary => (
+      glossary.sourceLanguage === sourceLanguage &&
+      (!targetLanguage || glossary.targetLanguage === targetLanguage) &&
+      (
+        (glossary.scope === GLOSSARY_SCOPES.TENANT && glossary.tenant === (tenant || null)) ||
+        (glossary.scope === GLOSSARY_SCOPES.CHANNEL && channel && glossary.channel === channel &&
+          glossary.tenant === (tenant || null))
+      )
+    ));
+
+    // Channel glossaries last so their terms replace tenant ones
+    applicable.sort((a, b) => (a.scope === GLOSSARY_SCOPES.CHANNEL) - (b.scope === GLOSSARY_SCOPES.CHANNEL));
+
+    const terms = new Map(); // target language + lower-cased source -> entry
+    for (const glossary of applicable) {
+      for (const term of glossary.terms) {
+        terms.set(`${glossary.targetLanguage}:${term.source.toLowerCase()}`, {
+          source: term.source,
+          target: term.target,
+          targetLanguage: glossary.targetLanguage
+        });
+      }
+    }
+    return Array.from(terms.values());
+  }
+
+  // Mutable glossary fields from client input
+  pickFields({ name, scope, channel, sourceLanguage, targetLanguage, terms }) {
+    return {
+      name,
+      scope,
+      channel: scope === GLOSSARY_SCOPES.CHANNEL ? channel : null,
+      sourceLanguage,
+      targetLanguage,
+      terms: terms.map(term => ({ source: term.source.trim(), target: term.target.trim() }))
+    };
+  }
+
+  /**
+   * Mirror a glossary (or its removal) to the persistence layer
+   * @param {string} id - Glossary ID
+   */
+  persistGlossary(id) {
+    try {
+      const glossary = this.glossaries.get(id);
+      if (glossary) {
+        persistenceService.save(COLLECTIONS.GLOSSARIES, id, glossary);
+      } else {
+        persistenceService.remove(COLLECTIONS.GLOSSARIES, id);
+      }
+    } catch (error) {
+      logger.error('Failed to persist glossary', { glossaryId: id, error: error.message });
+    }
+  }
+}
+
+export default new GlossaryService();
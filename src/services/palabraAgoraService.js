@@ -1,81 +1,707 @@
-import axios from 'axios';
+import { EventEmitter } from 'events';
 import { config } from '../config/index.js';
 import logger from '../utils/logger.js';
+import { isValidLanguageCode } from '../utils/validation.js';
+import persistenceService, { COLLECTIONS } from './persistenceService.js';
+import tokenService from './tokenService.js';
+import glossaryService from './glossaryService.js';
+import translationProviderService from './translationProviderService.js';
+import { TASK_STATUSES } from '../providers/translationProvider.js';
+import uidAllocatorService, { UID_KINDS } from './uidAllocatorService.js';
+import { namedError } from '../utils/errors.js';
 
-class PalabraAgoraService {
+// Token data as persisted: UID, channel and expiry, without the token strings
+const withoutTokens = (tokenData) => {
+  if (!tokenData) {
+    return tokenData;
+  }
+  const { token, rtcToken, rtmToken, ...rest } = tokenData;
+  return rest;
+};
+
+// Requesters identified as `api:<identity>` come from the REST API rather than a socket
+const isApiRequester = (startedBy) => typeof startedBy === 'string' && startedBy.startsWith('api:');
+
+export { TASK_STATUSES };
+
+class PalabraAgoraService extends EventEmitter {
   constructor() {
-    this.baseUrl = `${config.translation.apiUrl}`.replace(/\/$/, '');
-    this.clientId = config.translation.oauth.clientId;
-    this.clientSecret = config.translation.oauth.clientSecret;
-    this.timeout = config.translation.timeout;
-    // In-memory tracking of active Palabra Agora tasks keyed by Agora channel
+    super();
+    this.botTokenExpireSeconds = config.translation.agora.botTokenExpireSeconds;
+    this.renewBeforeSeconds = config.translation.agora.renewBeforeSeconds;
+    this.renewalCheckInterval = config.translation.agora.renewalCheckInterval;
+    this.maxTargetLanguages = config.translation.agora.maxTargetLanguages;
+    this.statusCheckEnabled = config.translation.agora.statusCheckEnabled;
+    this.statusCheckInterval = config.translation.agora.statusCheckInterval;
+    this.restartFailedTasks = config.translation.agora.restartFailedTasks;
+    this.maxRestartAttempts = config.translation.agora.maxRestartAttempts;
+    this.orphanedTaskAction = config.persistence.orphanedTaskAction;
+    this.acceptingTasks = true;
+    // In-memory tracking of active Palabra Agora tasks keyed by `${channel}:${speakerUid}`.
+    // A speaker task is made of one or more Palabra tasks ("segments"): the original one plus
+    // any extra task started to add target languages without touching running tracks.
     this.activeTasks = new Map();
+    // task key -> promise chain serialising changes to the same speaker task
+    this.taskLocks = new Map();
+    this.tokenRenewalInterval = null;
+    this.statusCheckTimer = null;
+
+    // Start bot token renewal interval
+    this.startTokenRenewal();
+
+    // Start remote task status checks
+    if (this.statusCheckEnabled) {
+      this.startStatusCheck();
+    }
+  }
+
+  // Active translation provider (Palabra unless TRANSLATION_PROVIDER says otherwise)
+  getProvider() {
+    return translationProviderService.getProvider();
   }
 
   isConfigured() {
-    return Boolean(this.clientId && this.clientSecret && this.baseUrl);
+    return this.getProvider().isConfigured();
   }
 
-  // Store task info for a channel
-  storeTask(channel, taskInfo) {
+  /**
+   * Key of the task translating one speaker in a channel
+   * @param {string} channel - Agora channel name
+   * @param {number|string} speakerUid - Speaker's Agora UID (Palabra remote_uid)
+   * @returns {string} Task key
+   */
+  getTaskKey(channel, speakerUid) {
+    return `${channel}:${Number(speakerUid)}`;
+  }
+
+  /**
+   * Store a freshly started task for a channel speaker
+   * A speaker that already has a task is never overwritten: the caller gets null and must stop the new task.
+   * @param {string} channel - Agora channel name
+   * @param {Object} taskInfo - startTranslationTask result ({ taskId, raw })
+   * @param {Object} options
+   * @param {Object} options.params - Params passed to startTranslationTask
+   * @param {Object} [options.owner] - { startedBy, identity } of the requester who started it
+   * @returns {Object|null} The stored task, or null if it was not stored
+   */
+  storeTask(channel, taskInfo, { params, owner = {} }) {
     try {
-      const taskId = taskInfo?.data?.task_id || taskInfo?.task_id;
-      if (!channel || !taskId) {
-        logger.warn('Attempted to store invalid Palabra task', { channel, hasTaskId: Boolean(taskId) });
-        return;
+      const segment = this.createSegment(taskInfo, params);
+      const speakerUid = params?.channelTokenData?.uid;
+      if (!channel || !segment || speakerUid === undefined || speakerUid === null) {
+        logger.warn('Attempted to store invalid Palabra task', { channel, speakerUid, hasTaskId: Boolean(segment) });
+        return null;
+      }
+
+      const key = this.getTaskKey(channel, speakerUid);
+      if (this.activeTasks.has(key)) {
+        logger.error('Refusing to replace stored Palabra Agora task for speaker', {
+          channel,
+          speakerUid,
+          taskIds: this.activeTasks.get(key).segments.map(current => current.taskId),
+          newTaskId: segment.taskId
+        });
+        return null;
       }
-      this.activeTasks.set(channel, { taskId, taskInfo, createdAt: Date.now() });
-      logger.info('Stored Palabra Agora task', { channel, taskId });
+
+      const task = {
+        key,
+        channel,
+        speakerUid: Number(speakerUid),
+        sourceLanguage: params.sourceLanguage,
+        channelTokenData: params.channelTokenData,
+        srOptions: params.srOptions || {},
+        translationOptions: params.translationOptions || {},
+        segments: [segment],
+        // target language -> Set of subscriber IDs (sockets) listening to it
+        subscribers: new Map(),
+        // Socket ID or `api:<identity>`, and the authenticated identity ID (null while auth is disabled)
+        startedBy: owner.startedBy || null,
+        ownerIdentity: owner.identity || null,
+        // Started or joined over the REST API: only stopped explicitly, never by listeners leaving or idle checks
+        managedByApi: isApiRequester(owner.startedBy),
+        createdAt: Date.now()
+      };
+      this.activeTasks.set(key, task);
+      logger.info('Stored Palabra Agora task', { channel, speakerUid, taskId: segment.taskId });
+      return task;
     } catch (e) {
       logger.error('Failed to store Palabra Agora task', { channel, error: e.message });
+      return null;
     }
   }
 
-  // Retrieve stored task info by channel
-  getTask(channel) {
-    return this.activeTasks.get(channel) || null;
+  // Retrieve stored task info by channel and speaker
+  getTask(channel, speakerUid) {
+    return this.activeTasks.get(this.getTaskKey(channel, speakerUid)) || null;
   }
 
-  // Stop Palabra translation task via Agora integration
-  async stopTranslationTask(channel) {
-    if (!this.isConfigured()) {
-      throw new Error('Palabra Agora service is not configured (missing ClientID/ClientSecret)');
+  /**
+   * All speaker tasks running in a channel
+   * @param {string} channel - Agora channel name
+   * @returns {Array<Object>} Stored tasks
+   */
+  getChannelTasks(channel) {
+    return Array.from(this.activeTasks.values()).filter(task => task.channel === channel);
+  }
+
+  /**
+   * Find the task a request refers to
+   * The speaker may be omitted when only one speaker is being translated in the channel.
+   * @param {string} channel - Agora channel name
+   * @param {number|string} [speakerUid] - Speaker's Agora UID
+   * @returns {Object} Stored task
+   */
+  resolveTask(channel, speakerUid = null) {
+    if (speakerUid !== null && speakerUid !== undefined && speakerUid !== '') {
+      const task = this.getTask(channel, speakerUid);
+      if (!task) {
+        throw namedError('NotFoundError', `No active translation task for speaker ${speakerUid} in channel ${channel}`);
+      }
+      return task;
     }
 
-    const stored = this.getTask(channel);
-    if (!stored) {
-      logger.warn('Attempted to stop non-existent Palabra Agora task', { channel });
-      return false;
+    const tasks = this.getChannelTasks(channel);
+    if (tasks.length === 0) {
+      throw namedError('NotFoundError', `No active translation task for channel ${channel}`);
+    }
+    if (tasks.length > 1) {
+      throw namedError('ValidationError', `Channel ${channel} has several speakers being translated; speakerUid is required`);
+    }
+    return tasks[0];
+  }
+
+  /**
+   * Build a segment record from a Palabra response and the tokens used for it
+   * @param {Object} started - { taskId, raw } as returned by startTranslationTask
+   * @param {Object} params - { receiverTokenData, translatorTokens }
+   * @returns {Object|null} Segment or null if the provider returned no task ID
+   */
+  createSegment(started, { receiverTokenData, translatorTokens }) {
+    const taskId = started?.taskId;
+    if (!taskId) {
+      return null;
     }
 
-    const { taskId } = stored;
-    const url = `${this.baseUrl}/agora/translations/${taskId}`;
+    return {
+      taskId,
+      taskInfo: started.raw,
+      receiverTokenData,
+      translatorTokens,
+      tokensExpireAt: this.getTokensExpireAt({ receiverTokenData, translatorTokens }),
+      renewalFailures: 0,
+      status: TASK_STATUSES.RUNNING,
+      statusCheckedAt: null,
+      restartAttempts: 0,
+      createdAt: Date.now()
+    };
+  }
 
+  // Full startTranslationTask params for one segment of a channel task
+  getSegmentParams(task, segment) {
+    return {
+      channel: task.channel,
+      channelTokenData: this.getSpeakerTokenData(task),
+      receiverTokenData: segment.receiverTokenData,
+      translatorTokens: segment.translatorTokens,
+      sourceLanguage: task.sourceLanguage,
+      srOptions: task.srOptions,
+      translationOptions: task.translationOptions
+    };
+  }
+
+  /**
+   * Speaker token data for a new Palabra task of a channel task
+   * Tokens are not persisted, and ones we minted expire; either way a fresh one is minted for the speaker UID.
+   * @param {Object} task - Stored channel task
+   * @returns {Object} { token, channel, uid, expiresAt? }
+   */
+  getSpeakerTokenData(task) {
+    const { token, expiresAt } = task.channelTokenData || {};
+    const renewBeforeTs = Math.floor(Date.now() / 1000) + this.renewBeforeSeconds;
+    if (token && (!expiresAt || expiresAt > renewBeforeTs)) {
+      return task.channelTokenData;
+    }
+
+    task.channelTokenData = tokenService.buildPublisherToken(task.channel, task.speakerUid, this.botTokenExpireSeconds);
+    return task.channelTokenData;
+  }
+
+  /**
+   * Target languages currently served by a channel task
+   * @param {Object} task - Stored channel task
+   * @returns {Array<string>} Language codes
+   */
+  getTargetLanguages(task) {
+    return task.segments.flatMap(segment => Object.keys(segment.translatorTokens));
+  }
+
+  /**
+   * Bot UIDs (receivers and translators) reserved by a segment
+   * @param {Object} segment - Task segment
+   * @returns {Array<number>} UIDs
+   */
+  getSegmentBotUids(segment) {
+    return [
+      segment.receiverTokenData?.uid,
+      ...Object.values(segment.translatorTokens || {}).map(tokenData => tokenData.uid)
+    ].filter(uid => uid !== null && uid !== undefined);
+  }
+
+  /**
+   * Public description of a speaker task
+   * @param {Object} task - Stored channel task
+   * @returns {Object} { channel, taskIds, sourceLanguage, targetLanguages, translators, ... }
+   */
+  describeTask(task) {
+    return {
+      channel: task.channel,
+      speakerUid: task.speakerUid,
+      taskId: task.segments[0]?.taskId || null,
+      taskIds: task.segments.map(segment => segment.taskId),
+      sourceLanguage: task.sourceLanguage,
+      targetLanguages: this.getTargetLanguages(task),
+      translators: this.getTranslatorUids(
+        Object.assign({}, ...task.segments.map(segment => segment.translatorTokens))
+      ),
+      tokensExpireAt: Math.min(...task.segments.map(segment => segment.tokensExpireAt || Infinity)),
+      status: task.segments.every(segment => segment.status === TASK_STATUSES.RUNNING)
+        ? TASK_STATUSES.RUNNING
+        : TASK_STATUSES.FAILED,
+      subscriberCounts: Object.fromEntries(
+        Array.from(task.subscribers.entries()).map(([language, subscribers]) => [language, subscribers.size])
+      ),
+      managedByApi: Boolean(task.managedByApi),
+      createdAt: task.createdAt
+    };
+  }
+
+  /**
+   * Plain record of a stored task for the persistence layer
+   * Subscribers are socket IDs and mean nothing after a restart, so they are not kept. Agora tokens are
+   * left out (only UIDs and expiries are kept) since new ones are minted whenever a task is replaced, and so
+   * is Palabra's raw response, which may echo them.
+   * @param {Object} task - Stored channel task
+   * @returns {Object} JSON-serialisable record
+   */
+  serializeTask(task) {
+    const { subscribers, ...record } = task;
+    return {
+      ...record,
+      channelTokenData: withoutTokens(record.channelTokenData),
+      segments: record.segments.map(({ taskInfo, ...segment }) => ({
+        ...segment,
+        receiverTokenData: withoutTokens(segment.receiverTokenData),
+        translatorTokens: Object.fromEntries(
+          Object.entries(segment.translatorTokens).map(([language, tokenData]) => [language, withoutTokens(tokenData)])
+        )
+      }))
+    };
+  }
+
+  // Rebuild a stored task from its persisted record; records without an owner are kept like API tasks
+  deserializeTask(record) {
+    return {
+      ...record,
+      managedByApi: record.managedByApi ?? !record.startedBy,
+      segments: record.segments.map(segment => ({ ...segment })),
+      subscribers: new Map()
+    };
+  }
+
+  // Mirror a task (or its removal) to the persistence layer
+  persistTask(key) {
     try {
-      logger.info('Calling Palabra DELETE /agora/translations/{taskId}', { url, channel, taskId });
-      await axios.delete(url, {
-        headers: {
-          ClientID: this.clientId,
-          ClientSecret: this.clientSecret,
-          Accept: 'application/json'
-        },
-        timeout: this.timeout
+      const task = this.activeTasks.get(key);
+      if (task) {
+        persistenceService.save(COLLECTIONS.AGORA_TASKS, key, this.serializeTask(task));
+      } else {
+        persistenceService.remove(COLLECTIONS.AGORA_TASKS, key);
+      }
+    } catch (error) {
+      logger.error('Failed to persist Palabra Agora task', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Reload tasks persisted by a previous run and reconcile them with Palabra
+   * With PERSISTENCE_ORPHANED_TASK_ACTION=resume, tasks still running on Palabra are tracked again
+   * (failed ones go through the status check: restarted or dropped); with `stop` they are deleted.
+   * @returns {Promise<Object>} { restored, resumed, stopped }
+   */
+  async restoreTasks() {
+    const records = persistenceService.list(COLLECTIONS.AGORA_TASKS);
+    if (records.length === 0) {
+      return { restored: 0, resumed: 0, stopped: 0 };
+    }
+
+    if (!this.isConfigured()) {
+      logger.warn('Palabra Agora service is not configured; leaving persisted tasks untouched', { count: records.length });
+      return { restored: 0, resumed: 0, stopped: 0 };
+    }
+
+    for (const record of records) {
+      const task = this.deserializeTask(record);
+      this.activeTasks.set(task.key, task);
+
+      // Reserve the bot UIDs again so participants never get them
+      for (const segment of task.segments) {
+        for (const tokenData of [segment.receiverTokenData, ...Object.values(segment.translatorTokens)]) {
+          try {
+            uidAllocatorService.claim(task.channel, tokenData.uid, {
+              kind: UID_KINDS.BOT,
+              owner: `palabra:${task.channel}`,
+              expiresAt: tokenData.expiresAt
+            });
+          } catch (error) {
+            logger.warn('Could not reserve restored bot UID', { channel: task.channel, uid: tokenData.uid, error: error.message });
+          }
+        }
+      }
+    }
+
+    for (const record of records) {
+      if (this.orphanedTaskAction === 'stop') {
+        await this.withTaskLock(record.key, () => this.stopStoredTask(record.key));
+      } else {
+        await this.checkTaskStatus(record.key);
+      }
+    }
+
+    const resumed = records.filter(record => this.activeTasks.has(record.key)).length;
+    const summary = { restored: records.length, resumed, stopped: records.length - resumed };
+    logger.info('Restored persisted Palabra Agora tasks', { ...summary, action: this.orphanedTaskAction });
+    return summary;
+  }
+
+  /**
+   * Register a subscriber (listener socket) for languages of a speaker task
+   * @param {string} channel - Agora channel name
+   * @param {number|string} speakerUid - Speaker's Agora UID
+   * @param {Array<string>} targetLanguages - Languages the subscriber listens to
+   * @param {string} subscriberId - Subscriber ID (socket ID)
+   * @returns {Object|null} Updated task description or null if the task does not exist
+   */
+  subscribe(channel, speakerUid, targetLanguages, subscriberId) {
+    const task = this.getTask(channel, speakerUid);
+    if (!task) {
+      return null;
+    }
+
+    for (const language of targetLanguages) {
+      if (!task.subscribers.has(language)) {
+        task.subscribers.set(language, new Set());
+      }
+      task.subscribers.get(language).add(subscriberId);
+    }
+
+    logger.debug('Subscribed to Palabra Agora task', { channel, speakerUid, targetLanguages, subscriberId });
+    return this.describeTask(task);
+  }
+
+  /**
+   * Drop a subscriber from speaker tasks; languages nobody listens to any more are removed and
+   * a task left without languages is stopped (API-managed tasks keep their languages)
+   * @param {string} channel - Agora channel name
+   * @param {number|string|null} speakerUid - Speaker's Agora UID (all speakers in the channel when omitted)
+   * @param {string} subscriberId - Subscriber ID (socket ID)
+   * @param {Array<string>} [targetLanguages] - Only leave these languages (all when omitted)
+   * @returns {Promise<Array<Object>>} Per task: { channel, speakerUid, left, removed, stopped, task }
+   */
+  async unsubscribe(channel, speakerUid, subscriberId, targetLanguages = null) {
+    const hasSpeaker = speakerUid !== null && speakerUid !== undefined && speakerUid !== '';
+    const tasks = hasSpeaker ? [this.getTask(channel, speakerUid)].filter(Boolean) : this.getChannelTasks(channel);
+    const results = [];
+
+    for (const task of tasks) {
+      const left = [];
+      for (const [language, subscribers] of task.subscribers.entries()) {
+        if ((!targetLanguages || targetLanguages.includes(language)) && subscribers.delete(subscriberId)) {
+          left.push(language);
+        }
+      }
+
+      if (left.length === 0) {
+        continue;
+      }
+
+      const emptied = left.filter(language => !(task.subscribers.get(language)?.size > 0));
+      if (emptied.length === 0 || task.managedByApi) {
+        results.push({ channel: task.channel, speakerUid: task.speakerUid, left, removed: [], stopped: false, task: this.describeTask(task) });
+        continue;
+      }
+
+      logger.info('Last subscriber left Palabra Agora task languages', {
+        channel: task.channel,
+        speakerUid: task.speakerUid,
+        targetLanguages: emptied,
+        subscriberId
       });
 
-      this.activeTasks.delete(channel);
-      logger.info('Palabra Agora task stopped and removed', { channel, taskId });
-      return true;
+      try {
+        const { removed, task: description } = await this.removeTargetLanguages(
+          task.channel,
+          task.speakerUid,
+          emptied,
+          { onlyUnsubscribed: true }
+        );
+        results.push({ channel: task.channel, speakerUid: task.speakerUid, left, removed, stopped: !description, task: description });
+      } catch (error) {
+        if (error.name !== 'BadGatewayError') {
+          throw error;
+        }
+        // The subscriber has still left; the languages Palabra kept running stay on the task
+        logger.warn('Palabra Agora task languages kept after the last subscriber left', {
+          channel: task.channel,
+          speakerUid: task.speakerUid,
+          error: error.message
+        });
+        const current = this.getTask(task.channel, task.speakerUid);
+        const removed = emptied.filter(language => !current || !this.getTargetLanguages(current).includes(language));
+        results.push({
+          channel: task.channel,
+          speakerUid: task.speakerUid,
+          left,
+          removed,
+          stopped: !current,
+          task: current ? this.describeTask(current) : null
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Drop a subscriber from every task it listens to (e.g. on socket disconnect)
+   * @param {string} subscriberId - Subscriber ID (socket ID)
+   * @returns {Promise<Array<Object>>} Results as returned by unsubscribe
+   */
+  async unsubscribeAll(subscriberId) {
+    const tasks = Array.from(this.activeTasks.values()).filter(task => (
+      Array.from(task.subscribers.values()).some(subscribers => subscribers.has(subscriberId))
+    ));
+
+    const results = [];
+    for (const task of tasks) {
+      results.push(...await this.unsubscribe(task.channel, task.speakerUid, subscriberId));
+    }
+    return results;
+  }
+
+  /**
+   * Run a change against a speaker task, one at a time per task
+   * Every change to a stored task goes through here, so the task is persisted once fn settles.
+   * @param {string} key - Task key
+   * @param {Function} fn - Async work
+   * @returns {Promise<*>} Result of fn
+   */
+  withTaskLock(key, fn) {
+    const previous = this.taskLocks.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn).finally(() => this.persistTask(key));
+    const tail = run.catch(() => {});
+    this.taskLocks.set(key, tail);
+    tail.then(() => {
+      if (this.taskLocks.get(key) === tail) {
+        this.taskLocks.delete(key);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Mint token data for a Palabra bot (receiver/translator) on a fresh UID from the reserved band
+   * @param {string} channel - Agora channel name
+   * @returns {{ token: string, channel: string, uid: number, expiresAt: number }}
+   */
+  issueBotTokenData(channel) {
+    const tokenData = tokenService.generateToken(channel, undefined, this.botTokenExpireSeconds, {
+      uidKind: UID_KINDS.BOT,
+      owner: `palabra:${channel}`
+    });
+    return {
+      token: tokenData.token,
+      channel: tokenData.channel,
+      uid: tokenData.uid,
+      expiresAt: tokenData.expiresAt
+    };
+  }
+
+  /**
+   * Mint one translator bot token per target language
+   * @param {string} channel - Agora channel name
+   * @param {Array<string>} targetLanguages - Target language codes
+   * @returns {Object} { [language]: { token, channel, uid, expiresAt } }
+   */
+  issueTranslatorTokens(channel, targetLanguages) {
+    const translators = {};
+    try {
+      for (const language of targetLanguages) {
+        translators[language] = this.issueBotTokenData(channel);
+      }
     } catch (error) {
-      logger.error('Failed to stop Palabra Agora task', {
+      // Give back the UIDs minted before the failure
+      this.releaseBotUids(channel, Object.values(translators).map(tokenData => tokenData.uid));
+      throw error;
+    }
+    return translators;
+  }
+
+  /**
+   * Mint the receiver and translator bot tokens of a new segment
+   * Nothing stays reserved if minting fails partway.
+   * @param {string} channel - Agora channel name
+   * @param {Array<string>} targetLanguages - Target language codes
+   * @returns {Object} { receiverTokenData, translatorTokens }
+   */
+  issueSegmentTokens(channel, targetLanguages) {
+    const receiverTokenData = this.issueBotTokenData(channel);
+    try {
+      return { receiverTokenData, translatorTokens: this.issueTranslatorTokens(channel, targetLanguages) };
+    } catch (error) {
+      this.releaseBotUids(channel, [receiverTokenData.uid]);
+      throw error;
+    }
+  }
+
+  /**
+   * Map target languages to the translator UIDs publishing them
+   * @param {Object} translatorTokens - { [language]: tokenData }
+   * @returns {Object} { [language]: uid }
+   */
+  getTranslatorUids(translatorTokens = {}) {
+    return Object.fromEntries(
+      Object.entries(translatorTokens).map(([language, tokenData]) => [language, tokenData.uid])
+    );
+  }
+
+  // Earliest expiry (unix seconds) among the bot tokens handed to Palabra
+  getTokensExpireAt(params) {
+    const expiries = [
+      params?.receiverTokenData?.expiresAt,
+      ...Object.values(params?.translatorTokens || {}).map(tokenData => tokenData.expiresAt)
+    ].filter(Boolean);
+    return expiries.length > 0 ? Math.min(...expiries) : null;
+  }
+
+  // Free the receiver/translator UIDs reserved for a task
+  releaseBotUids(channel, botUids = []) {
+    for (const uid of botUids) {
+      uidAllocatorService.release(channel, uid);
+    }
+  }
+
+  // Stop a task on the provider's side
+  async deleteRemoteTask(taskId) {
+    await this.getProvider().stopAgoraTask(taskId);
+  }
+
+  /**
+   * Stop Palabra translation tasks via Agora integration
+   * @param {string} channel - Agora channel name
+   * @param {number|string} [speakerUid] - Stop only this speaker's task (all speakers when omitted)
+   * @param {Object} [options]
+   * @param {string} [options.stoppedBy] - Who stopped it (socket ID, `api:<identity>`, ...), for notifications
+   * @returns {Promise<boolean>} True if every Palabra task was stopped; false if none existed or a delete
+   *   failed (the task is kept, see stopStoredTask)
+   */
+  async stopTranslationTask(channel, speakerUid = null, { stoppedBy = null } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`Translation provider ${this.getProvider().name} is not configured`);
+    }
+
+    const keys = speakerUid !== null && speakerUid !== undefined && speakerUid !== ''
+      ? [this.getTaskKey(channel, speakerUid)]
+      : this.getChannelTasks(channel).map(task => task.key);
+
+    if (!keys.some(key => this.activeTasks.has(key))) {
+      logger.warn('Attempted to stop non-existent Palabra Agora task', { channel, speakerUid });
+      return false;
+    }
+
+    let allStopped = true;
+    for (const key of keys) {
+      const task = this.activeTasks.get(key);
+      if (!task) {
+        continue;
+      }
+
+      const stopped = await this.withTaskLock(key, () => this.stopStoredTask(key));
+      allStopped = allStopped && stopped;
+      if (stopped) {
+        this.emit('task_stopped', { channel, speakerUid: task.speakerUid, stoppedBy });
+      }
+    }
+    return allStopped;
+  }
+
+  /**
+   * Refuse new tasks (e.g. during shutdown); running tasks are not affected
+   */
+  stopAcceptingTasks() {
+    this.acceptingTasks = false;
+  }
+
+  /**
+   * Stop every stored task
+   * @returns {Promise<Object>} { stopped, failed } task counts
+   */
+  async stopAllTasks() {
+    const summary = { stopped: 0, failed: 0 };
+    for (const key of Array.from(this.activeTasks.keys())) {
+      const stopped = await this.withTaskLock(key, () => this.stopStoredTask(key));
+      summary[stopped ? 'stopped' : 'failed']++;
+    }
+    return summary;
+  }
+
+  // Delete every segment of a stored task and forget it (caller holds the task lock). Segments whose
+  // remote delete failed are kept, bot UIDs included, so the task can still be stopped later.
+  async stopStoredTask(key) {
+    const stored = this.activeTasks.get(key);
+    if (!stored) {
+      return true;
+    }
+
+    const { channel, speakerUid } = stored;
+    const remaining = [];
+    for (const segment of stored.segments) {
+      try {
+        await this.deleteRemoteTask(segment.taskId);
+      } catch (error) {
+        // A task the provider no longer knows is already stopped
+        if (error.response?.status !== 404) {
+          remaining.push(segment);
+          logger.error('Failed to stop Palabra Agora task', {
+            channel,
+            speakerUid,
+            taskId: segment.taskId,
+            error: error.message,
+            response: error.response?.data
+          });
+          continue;
+        }
+      }
+      this.releaseBotUids(channel, this.getSegmentBotUids(segment));
+    }
+
+    if (remaining.length > 0) {
+      stored.segments = remaining;
+      logger.warn('Palabra Agora task kept after a failed stop', {
         channel,
-        taskId,
-        error: error.message,
-        response: error.response?.data
+        speakerUid,
+        taskIds: remaining.map(segment => segment.taskId)
       });
-      // Best-effort cleanup even on failure
-      this.activeTasks.delete(channel);
       return false;
     }
+
+    this.activeTasks.delete(key);
+    logger.info('Palabra Agora task stopped and removed', {
+      channel,
+      speakerUid,
+      taskIds: stored.segments.map(segment => segment.taskId)
+    });
+    return true;
   }
 
   /**
@@ -84,66 +710,802 @@ class PalabraAgoraService {
    * @param {string} params.channel - Agora channel name
    * @param {Object} params.channelTokenData - { token, channel, uid } for the speaker (published audio)
    * @param {Object} params.receiverTokenData - { token, channel, uid } for Palabra to subscribe to original stream
-   * @param {Object} params.translatorTokenData - { token, channel, uid } for Palabra to publish translated audio
+   * @param {Object} params.translatorTokens - { [targetLanguage]: { token, channel, uid } } for Palabra to publish
+   *   one translated audio track per language, e.g. { es: {...}, fr: {...} }
    * @param {string} params.sourceLanguage - e.g. 'en'
-   * @param {string} params.targetLanguage - e.g. 'es'
+   * @param {Object} [params.srOptions] - speech recognition options
+   * @param {Object} [params.translationOptions] - translation options (applied to every language)
+   * @returns {Promise<Object>} { taskId, raw } where raw is the provider's response
+   */
+  async startTranslationTask(params) {
+    if (!this.isConfigured()) {
+      throw new Error(`Translation provider ${this.getProvider().name} is not configured`);
+    }
+
+    if (Object.keys(params.translatorTokens || {}).length === 0) {
+      throw new Error('At least one target language is required');
+    }
+
+    return this.getProvider().startAgoraTask(params);
+  }
+
+  /**
+   * Replace a segment with a new Palabra task on fresh bot UIDs
+   * Palabra has no call to change a live task, so the replacement is started first and the old
+   * task deleted afterwards. Both are in the channel at the same time, so the replacement cannot
+   * reuse the old bots' UIDs; listeners move to the new translator UIDs announced with the change.
+   * @param {Object} task - Stored channel task
+   * @param {Object} segment - Segment to replace
+   * @param {Array<string>} [targetLanguages] - Languages to keep (defaults to all of the segment's)
+   * @returns {Promise<Object>} The new segment
+   */
+  async replaceSegment(task, segment, targetLanguages = Object.keys(segment.translatorTokens)) {
+    const params = {
+      ...this.getSegmentParams(task, segment),
+      ...this.issueSegmentTokens(task.channel, targetLanguages)
+    };
+
+    let replacement;
+    try {
+      const palabraResponse = await this.startTranslationTask(params);
+      replacement = this.createSegment(palabraResponse, params);
+      if (!replacement || replacement.taskId === segment.taskId) {
+        throw new Error('Palabra did not return a new task ID');
+      }
+    } catch (error) {
+      this.releaseBotUids(task.channel, this.getSegmentBotUids(params));
+      throw error;
+    }
+    replacement.restartAttempts = segment.restartAttempts || 0;
+
+    task.segments = task.segments.map(current => (current === segment ? replacement : current));
+
+    try {
+      await this.deleteRemoteTask(segment.taskId);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        // The old bots may still be in the channel; their UIDs stay reserved until their tokens expire
+        logger.warn('Failed to delete superseded Palabra Agora task', {
+          channel: task.channel,
+          taskId: segment.taskId,
+          error: error.message
+        });
+        return replacement;
+      }
+    }
+
+    this.releaseBotUids(task.channel, this.getSegmentBotUids(segment));
+    return replacement;
+  }
+
+  /**
+   * Add target languages to a running speaker task
+   * New languages are served by an extra Palabra task so existing tracks keep running untouched.
+   * @param {string} channel - Agora channel name
+   * @param {number|string|null} speakerUid - Speaker's Agora UID (optional with a single speaker)
+   * @param {Array<string>} targetLanguages - Languages to add
+   * @returns {Promise<Object>} { added, task } where task is the updated description
+   */
+  async addTargetLanguages(channel, speakerUid, targetLanguages) {
+    const { key } = this.resolveTask(channel, speakerUid);
+
+    return this.withTaskLock(key, async () => {
+      const task = this.activeTasks.get(key);
+      if (!task) {
+        throw namedError('NotFoundError', `Translation task for channel ${channel} stopped`);
+      }
+
+      return this.addLanguagesToTask(task, targetLanguages);
+    });
+  }
+
+  // Start an extra segment for languages the task does not serve yet (caller holds the task lock)
+  async addLanguagesToTask(task, targetLanguages) {
+    const { channel } = task;
+    const current = this.getTargetLanguages(task);
+    const added = [...new Set(targetLanguages)].filter(language => !current.includes(language));
+    if (added.length === 0) {
+      return { added, task: this.describeTask(task) };
+    }
+
+    if (current.length + added.length > this.maxTargetLanguages) {
+      throw namedError('ValidationError', `At most ${this.maxTargetLanguages} target languages are allowed per task`);
+    }
+
+    const params = {
+      ...this.getSegmentParams(task, task.segments[0]),
+      ...this.issueSegmentTokens(channel, added)
+    };
+
+    let segment;
+    try {
+      const palabraResponse = await this.startTranslationTask(params);
+      segment = this.createSegment(palabraResponse, params);
+      if (!segment) {
+        throw new Error('Palabra did not return a task ID');
+      }
+    } catch (error) {
+      this.releaseBotUids(channel, this.getSegmentBotUids(params));
+      throw error;
+    }
+
+    task.segments.push(segment);
+    const description = this.describeTask(task);
+
+    logger.info('Added target languages to Palabra Agora task', {
+      channel,
+      speakerUid: task.speakerUid,
+      added,
+      taskId: segment.taskId,
+      targetLanguages: description.targetLanguages
+    });
+
+    this.emit('task_languages_changed', {
+      channel,
+      speakerUid: task.speakerUid,
+      added,
+      removed: [],
+      task: description
+    });
+    return { added, task: description };
+  }
+
+  /**
+   * Validate a start request (shared by the Socket.IO and REST entry points)
+   * @param {Object} params
+   * @param {string} params.channel - Agora channel name
+   * @param {string} params.sourceLanguage - e.g. 'en'
+   * @param {Array<string>} params.targetLanguages - e.g. ['es', 'fr']
+   * @returns {{ isValid: boolean, errors: Array<string> }} Validation result
+   */
+  validateStartParams({ channel, sourceLanguage, targetLanguages }) {
+    const errors = [];
+
+    if (!channel || typeof channel !== 'string') {
+      errors.push('Channel name is required');
+    }
+
+    if (!sourceLanguage || !Array.isArray(targetLanguages) || targetLanguages.length === 0) {
+      errors.push('Source and target languages are required');
+    } else if (!isValidLanguageCode(sourceLanguage) || !targetLanguages.every(isValidLanguageCode)) {
+      errors.push('Invalid language codes provided');
+    } else if (targetLanguages.length > this.maxTargetLanguages) {
+      errors.push(`At most ${this.maxTargetLanguages} target languages are allowed per task`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Start or join the task for a client request (shared by the Socket.IO and REST entry points)
+   * Without speaker token data a speaker UID and token are minted for the channel.
+   * @param {Object} request
+   * @param {string} request.channel - Agora channel name
+   * @param {string} request.sourceLanguage - e.g. 'en'
+   * @param {Array<string>} request.targetLanguages - Validated target languages
+   * @param {Object} [request.channelTokenData] - { token, uid } of the speaker
+   * @param {Object} [request.options] - { srOptions, translationOptions }
+   * @param {Object} [context]
+   * @param {string} [context.subscriberId] - Socket to count as a subscriber of the languages
+   * @param {string} [context.startedBy] - Who started it (socket ID or `api:<identity>`), for notifications
+   * @param {string} [context.identity] - Requester's identity ID, recorded as the owner of a new task
+   * @param {string} [context.tenant] - Requester's tenant, selecting glossaries for a new task
+   * @returns {Promise<Object>} Result of startOrJoinTask plus the speaker's channelTokenData
+   */
+  async startTask({ channel, sourceLanguage, targetLanguages, channelTokenData, options = {} }, { subscriberId = null, startedBy = null, identity = null, tenant = null } = {}) {
+    let speakerTokenData;
+    if (channelTokenData && channelTokenData.token && channelTokenData.uid) {
+      speakerTokenData = { token: channelTokenData.token, channel, uid: Number(channelTokenData.uid) };
+    } else {
+      const tokenData = tokenService.generateToken(channel);
+      speakerTokenData = { token: tokenData.token, channel: tokenData.channel, uid: tokenData.uid, expiresAt: tokenData.expiresAt };
+    }
+
+    const result = await this.startOrJoinTask({
+      channel,
+      channelTokenData: speakerTokenData,
+      sourceLanguage,
+      targetLanguages,
+      srOptions: options.srOptions || {},
+      translationOptions: this.withGlossary(options.translationOptions || {}, { tenant, channel, sourceLanguage })
+    }, subscriberId, { startedBy, identity });
+
+    if (!result.reused) {
+      this.emit('task_started', {
+        channel,
+        speakerUid: result.task.speakerUid,
+        sourceLanguage,
+        requestedLanguages: targetLanguages,
+        task: result.task,
+        receiverTokenData: result.receiverTokenData,
+        translatorTokens: result.translatorTokens,
+        palabraTask: result.palabraTask,
+        startedBy
+      });
+    }
+
+    return { ...result, channelTokenData: speakerTokenData };
+  }
+
+  /**
+   * Attach the tenant's and channel's glossary terms to translation options
+   * The terms are a snapshot: the task keeps them through renewals and restarts. A glossary the client
+   * passed itself is left alone.
+   * @param {Object} translationOptions - Client translation options
+   * @param {Object} context - { tenant, channel, sourceLanguage }
+   * @returns {Object} Translation options
+   */
+  withGlossary(translationOptions, context) {
+    if (translationOptions.glossary) {
+      return translationOptions;
+    }
+
+    const glossary = glossaryService.getTerms(context);
+    return glossary.length > 0 ? { ...translationOptions, glossary } : translationOptions;
+  }
+
+  /**
+   * Start a speaker task, or join the running one for the same channel and speaker
+   * An identical (channel, speaker, language) request reuses the running Palabra task; missing
+   * languages are added to it. The caller is counted as a subscriber of the requested languages.
+   * @param {Object} params
+   * @param {string} params.channel - Agora channel name
+   * @param {Object} params.channelTokenData - { token, channel, uid } for the speaker
+   * @param {string} params.sourceLanguage - e.g. 'en'
+   * @param {Array<string>} params.targetLanguages - e.g. ['es', 'fr']
    * @param {Object} [params.srOptions] - speech recognition options
    * @param {Object} [params.translationOptions] - translation options
-   * @returns {Promise<Object>} Palabra task/session info
+   * @param {string} [subscriberId] - Subscriber ID (socket ID) to count against the languages
+   * @param {Object} [owner] - { startedBy, identity } recorded on a new task
+   * @returns {Promise<Object>} { reused, task, receiverTokenData?, translatorTokens?, palabraTask? }
    */
-  async startTranslationTask({
+  async startOrJoinTask({
     channel,
     channelTokenData,
-    receiverTokenData,
-    translatorTokenData,
     sourceLanguage,
-    targetLanguage,
+    targetLanguages,
     srOptions = {},
     translationOptions = {}
-  }) {
-    if (!this.isConfigured()) {
-      throw new Error('Palabra Agora service is not configured (missing ClientID/ClientSecret)');
-    }
-
-    const url = `${this.baseUrl}/agora/translations`;
-
-    const body = {
-      channel: channelTokenData.channel || channel,
-      remote_uid: channelTokenData.uid,
-      local_uid: receiverTokenData.uid,
-      token: receiverTokenData.token,
-      speech_recognition: {
-        source_language: sourceLanguage,
-        options: srOptions || {}
-      },
-      translations: [
-        {
-          token: translatorTokenData.token,
-          local_uid: translatorTokenData.uid,
-          target_language: targetLanguage,
-          options: translationOptions || {}
+  }, subscriberId = null, owner = {}) {
+    if (!this.acceptingTasks) {
+      throw namedError('ServiceUnavailableError', 'Server is shutting down; no new translation tasks are accepted');
+    }
+
+    const key = this.getTaskKey(channel, channelTokenData.uid);
+
+    return this.withTaskLock(key, async () => {
+      const existing = this.activeTasks.get(key);
+      if (existing) {
+        if (existing.sourceLanguage !== sourceLanguage) {
+          throw namedError(
+            'ValidationError',
+            `Speaker ${existing.speakerUid} is already being translated from ${existing.sourceLanguage}`
+          );
         }
-      ]
-    };
 
-    logger.info('Calling Palabra /agora/translations', {
-      url,
-      channel: body.channel,
-      sourceLanguage,
-      targetLanguage
+        await this.addLanguagesToTask(existing, targetLanguages);
+        if (isApiRequester(owner.startedBy)) {
+          existing.managedByApi = true;
+        }
+        if (subscriberId) {
+          this.subscribe(channel, existing.speakerUid, targetLanguages, subscriberId);
+        }
+
+        logger.info('Reused Palabra Agora translation task for speaker', {
+          channel,
+          speakerUid: existing.speakerUid,
+          targetLanguages,
+          subscriberId
+        });
+        return { reused: true, task: this.describeTask(existing) };
+      }
+
+      const params = {
+        channel,
+        channelTokenData,
+        ...this.issueSegmentTokens(channel, targetLanguages),
+        sourceLanguage,
+        srOptions,
+        translationOptions
+      };
+
+      let started;
+      try {
+        started = await this.startTranslationTask(params);
+      } catch (error) {
+        // Give back bot UIDs reserved for a task that never started
+        this.releaseBotUids(channel, this.getSegmentBotUids(params));
+        throw error;
+      }
+
+      logger.info('palabraResponse Start', started.raw);
+
+      const stored = this.storeTask(channel, started, { params, owner });
+      if (!stored) {
+        // Stop the task that could not be stored so it does not keep running (and holding its bot UIDs) untracked
+        if (started?.taskId) {
+          try {
+            await this.deleteRemoteTask(started.taskId);
+          } catch (error) {
+            logger.error('Failed to stop unstored Palabra Agora task', { channel, taskId: started.taskId, error: error.message });
+          }
+        }
+        this.releaseBotUids(channel, this.getSegmentBotUids(params));
+        if (this.activeTasks.has(key)) {
+          throw namedError('ConflictError', `Speaker ${channelTokenData.uid} in channel ${channel} is already being translated`);
+        }
+        throw new Error('Palabra did not return a task ID');
+      }
+
+      if (subscriberId) {
+        this.subscribe(channel, stored.speakerUid, targetLanguages, subscriberId);
+      }
+
+      return {
+        reused: false,
+        task: this.describeTask(stored),
+        receiverTokenData: params.receiverTokenData,
+        translatorTokens: params.translatorTokens,
+        palabraTask: started.raw
+      };
     });
+  }
+
+  /**
+   * Remove target languages from a running speaker task
+   * A Palabra task left without languages is deleted; one that still serves other languages is
+   * replaced (on fresh bot UIDs) without the removed ones. Removing every language stops the task.
+   * @param {string} channel - Agora channel name
+   * @param {number|string|null} speakerUid - Speaker's Agora UID (optional with a single speaker)
+   * @param {Array<string>} targetLanguages - Languages to remove
+   * @param {Object} [options]
+   * @param {boolean} [options.onlyUnsubscribed] - Skip languages that gained a subscriber meanwhile
+   * @returns {Promise<Object>} { removed, task } where task is null once nothing is left
+   * @throws {Error} BadGatewayError if Palabra did not confirm a delete (those languages are kept)
+   */
+  async removeTargetLanguages(channel, speakerUid, targetLanguages, { onlyUnsubscribed = false } = {}) {
+    const { key } = this.resolveTask(channel, speakerUid);
+
+    return this.withTaskLock(key, async () => {
+      const task = this.activeTasks.get(key);
+      if (!task) {
+        throw namedError('NotFoundError', `Translation task for channel ${channel} stopped`);
+      }
+
+      let removed = [...new Set(targetLanguages)]
+        .filter(language => this.getTargetLanguages(task).includes(language))
+        .filter(language => !onlyUnsubscribed || !(task.subscribers.get(language)?.size > 0));
+      if (removed.length === 0) {
+        return { removed, task: this.describeTask(task) };
+      }
+
+      // Languages of segments whose Palabra task could not be deleted; they are kept (with their bot UIDs)
+      // so the removal can be retried, as with stopStoredTask
+      const stillRunning = [];
+      for (const segment of [...task.segments]) {
+        const languages = Object.keys(segment.translatorTokens);
+        const remaining = languages.filter(language => !removed.includes(language));
+        if (remaining.length === languages.length) {
+          continue;
+        }
+
+        if (remaining.length === 0) {
+          try {
+            await this.deleteRemoteTask(segment.taskId);
+          } catch (error) {
+            if (error.response?.status !== 404) {
+              logger.error('Failed to stop Palabra Agora task', {
+                channel,
+                taskId: segment.taskId,
+                error: error.message,
+                response: error.response?.data
+              });
+              stillRunning.push(...languages);
+              continue;
+            }
+          }
+          this.releaseBotUids(channel, this.getSegmentBotUids(segment));
+          task.segments = task.segments.filter(current => current !== segment);
+        } else {
+          await this.replaceSegment(task, segment, remaining);
+        }
+      }
 
-    const response = await axios.post(url, body, {
-      headers: {
-        ClientID: this.clientId,
-        ClientSecret: this.clientSecret,
-        'Content-Type': 'application/json',
-        Accept: 'application/json'
-      },
-      timeout: this.timeout
+      if (stillRunning.length > 0) {
+        removed = removed.filter(language => !stillRunning.includes(language));
+      }
+      for (const language of removed) {
+        task.subscribers.delete(language);
+      }
+
+      const description = task.segments.length > 0 ? this.describeTask(task) : null;
+      if (!description) {
+        this.activeTasks.delete(key);
+      }
+
+      logger.info('Removed target languages from Palabra Agora task', {
+        channel,
+        speakerUid: task.speakerUid,
+        removed,
+        targetLanguages: description?.targetLanguages || []
+      });
+
+      if (removed.length > 0) {
+        this.emit('task_languages_changed', {
+          channel,
+          speakerUid: task.speakerUid,
+          added: [],
+          removed,
+          task: description
+        });
+      }
+
+      if (stillRunning.length > 0) {
+        throw namedError(
+          'BadGatewayError',
+          `Palabra did not confirm stopping the translation of ${stillRunning.join(', ')}; it is still running and can be removed again`
+        );
+      }
+      return { removed, task: description };
     });
+  }
 
-    return response.data;
+  /**
+   * Renew the bot tokens of every segment of a running task that expire within the renewal window
+   * @param {string} key - Task key (see getTaskKey)
+   * @param {boolean} [force] - Renew regardless of expiry
+   * @returns {Promise<boolean>} True if all due segments were renewed
+   */
+  async renewTaskTokens(key, force = true) {
+    return this.withTaskLock(key, async () => {
+      const task = this.activeTasks.get(key);
+      if (!task) {
+        return false;
+      }
+
+      const { channel, speakerUid } = task;
+      const renewBeforeTs = Math.floor(Date.now() / 1000) + this.renewBeforeSeconds;
+      const dueSegments = task.segments.filter(segment => (
+        force || (segment.tokensExpireAt && segment.tokensExpireAt <= renewBeforeTs)
+      ));
+
+      let allRenewed = true;
+      for (const segment of dueSegments) {
+        try {
+          logger.info('Renewing Palabra Agora bot tokens', {
+            channel,
+            speakerUid,
+            taskId: segment.taskId,
+            tokensExpireAt: segment.tokensExpireAt
+          });
+
+          const renewed = await this.replaceSegment(task, segment);
+
+          logger.info('Palabra Agora bot tokens renewed', {
+            channel,
+            speakerUid,
+            previousTaskId: segment.taskId,
+            taskId: renewed.taskId,
+            tokensExpireAt: renewed.tokensExpireAt
+          });
+
+          this.emit('task_tokens_renewed', {
+            channel,
+            speakerUid,
+            previousTaskId: segment.taskId,
+            taskId: renewed.taskId,
+            tokensExpireAt: renewed.tokensExpireAt,
+            // Listeners switch to these translator UIDs
+            translators: this.getTranslatorUids(renewed.translatorTokens)
+          });
+
+        } catch (error) {
+          // Keep the original segment so the next check retries until the tokens actually expire
+          allRenewed = false;
+          segment.renewalFailures = (segment.renewalFailures || 0) + 1;
+
+          logger.error('Failed to renew Palabra Agora bot tokens', {
+            channel,
+            speakerUid,
+            taskId: segment.taskId,
+            attempts: segment.renewalFailures,
+            error: error.message,
+            response: error.response?.data
+          });
+
+          this.emit('task_token_renewal_failed', {
+            channel,
+            speakerUid,
+            taskId: segment.taskId,
+            attempts: segment.renewalFailures,
+            tokensExpireAt: segment.tokensExpireAt,
+            expired: Boolean(segment.tokensExpireAt && segment.tokensExpireAt <= Math.floor(Date.now() / 1000)),
+            error: error.message
+          });
+        }
+      }
+
+      return allRenewed;
+    });
+  }
+
+  /**
+   * Ask Palabra whether a segment's task is still alive
+   * @param {Object} segment - Task segment
+   * @returns {Promise<string|null>} TASK_STATUSES value, or null if Palabra could not be reached
+   */
+  async fetchSegmentStatus(segment) {
+    try {
+      return await this.getProvider().getAgoraTaskStatus(segment.taskId);
+    } catch (error) {
+      // Network errors and 5xx say nothing about the task itself; try again next round
+      logger.warn('Failed to fetch Palabra Agora task status', {
+        taskId: segment.taskId,
+        error: error.message,
+        status: error.response?.status
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Check every segment of a stored task against Palabra
+   * Failed or vanished segments are restarted with their original parameters when enabled (and
+   * attempts remain); otherwise their languages are dropped and a task left empty is forgotten.
+   * @param {string} key - Task key (see getTaskKey)
+   * @returns {Promise<Array<Object>>} One entry per unhealthy segment: { taskId, status, restarted }
+   */
+  async checkTaskStatus(key) {
+    return this.withTaskLock(key, async () => {
+      const task = this.activeTasks.get(key);
+      if (!task) {
+        return [];
+      }
+
+      const results = [];
+
+      for (const segment of [...task.segments]) {
+        const status = await this.fetchSegmentStatus(segment);
+        if (!status) {
+          continue;
+        }
+
+        segment.status = status;
+        segment.statusCheckedAt = Date.now();
+        if (status === TASK_STATUSES.RUNNING) {
+          continue;
+        }
+
+        results.push(await this.handleUnhealthySegment(task, segment, status, 'status_check'));
+      }
+
+      return results;
+    });
+  }
+
+  /**
+   * Restart a failed or vanished segment, or drop its languages (and the task once it is empty) once Palabra
+   * no longer has it; a segment whose remote delete fails is kept for the next status check
+   * Must run under the task's lock.
+   * @param {Object} task - Stored task
+   * @param {Object} segment - Segment that is no longer running
+   * @param {string} status - TASK_STATUSES value it was reported with
+   * @param {string} source - What reported it: 'status_check' | 'webhook'
+   * @returns {Promise<Object>} { taskId, status, restarted }
+   */
+  async handleUnhealthySegment(task, segment, status, source) {
+    const { key, channel, speakerUid } = task;
+    const targetLanguages = Object.keys(segment.translatorTokens);
+    logger.error('Palabra Agora task is no longer running', {
+      channel,
+      speakerUid,
+      taskId: segment.taskId,
+      status,
+      targetLanguages,
+      source
+    });
+
+    let restarted = null;
+    if (this.restartFailedTasks && segment.restartAttempts < this.maxRestartAttempts) {
+      try {
+        restarted = await this.replaceSegment(task, segment);
+        restarted.restartAttempts = segment.restartAttempts + 1;
+        logger.info('Restarted failed Palabra Agora task', {
+          channel,
+          speakerUid,
+          previousTaskId: segment.taskId,
+          taskId: restarted.taskId,
+          attempt: restarted.restartAttempts
+        });
+      } catch (error) {
+        logger.error('Failed to restart Palabra Agora task', {
+          channel,
+          speakerUid,
+          taskId: segment.taskId,
+          error: error.message,
+          response: error.response?.data
+        });
+      }
+    }
+
+    if (!restarted) {
+      // A failed task may still exist on Palabra's side (and bill); delete it before letting go of it
+      if (status !== TASK_STATUSES.GONE) {
+        try {
+          await this.deleteRemoteTask(segment.taskId);
+        } catch (error) {
+          if (error.response?.status !== 404) {
+            // Keep the segment and its bot UIDs, as stopStoredTask does; the next status check retries
+            logger.warn('Failed to delete failed Palabra Agora task', {
+              channel,
+              speakerUid,
+              taskId: segment.taskId,
+              error: error.message
+            });
+            return { taskId: segment.taskId, status, restarted: false };
+          }
+        }
+      }
+      this.releaseBotUids(channel, this.getSegmentBotUids(segment));
+      task.segments = task.segments.filter(current => current !== segment);
+      for (const language of targetLanguages) {
+        task.subscribers.delete(language);
+      }
+    }
+
+    const description = task.segments.length > 0 ? this.describeTask(task) : null;
+    if (!description) {
+      this.activeTasks.delete(key);
+    }
+
+    this.emit('task_failed', {
+      channel,
+      speakerUid,
+      taskId: segment.taskId,
+      status,
+      targetLanguages,
+      restarted: Boolean(restarted),
+      newTaskId: restarted?.taskId || null,
+      translators: description?.translators || {},
+      task: description,
+      source
+    });
+    return { taskId: segment.taskId, status, restarted: Boolean(restarted) };
+  }
+
+  /**
+   * Find the stored task one of whose segments has a Palabra task ID
+   * @param {string} taskId - Palabra task ID
+   * @returns {Object|null} Stored task
+   */
+  findTaskBySegmentId(taskId) {
+    for (const task of this.activeTasks.values()) {
+      if (task.segments.some(segment => segment.taskId === taskId)) {
+        return task;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply a task status Palabra pushed to us (webhook) instead of one we polled
+   * Running reports refresh the segment and emit `task_status_updated`; anything else is handled
+   * like a failed status check.
+   * @param {string} taskId - Palabra task ID
+   * @param {string} status - TASK_STATUSES value
+   * @param {Object} [details] - { eventId, eventType } of the report
+   * @returns {Promise<Object|null>} { channel, speakerUid, taskId, status, restarted }, or null for unknown tasks
+   */
+  async applyReportedStatus(taskId, status, { eventId = null, eventType = null } = {}) {
+    const found = this.findTaskBySegmentId(taskId);
+    if (!found) {
+      return null;
+    }
+
+    return this.withTaskLock(found.key, async () => {
+      // The task may have changed while waiting for the lock
+      const task = this.activeTasks.get(found.key);
+      const segment = task?.segments.find(current => current.taskId === taskId);
+      if (!segment) {
+        return null;
+      }
+
+      segment.status = status;
+      segment.statusCheckedAt = Date.now();
+      const { channel, speakerUid } = task;
+
+      if (status === TASK_STATUSES.RUNNING) {
+        this.emit('task_status_updated', {
+          channel,
+          speakerUid,
+          taskId,
+          status,
+          eventId,
+          eventType,
+          task: this.describeTask(task)
+        });
+        return { channel, speakerUid, taskId, status, restarted: false };
+      }
+
+      const result = await this.handleUnhealthySegment(task, segment, status, 'webhook');
+      return { channel, speakerUid, ...result };
+    });
+  }
+
+  /**
+   * Check every stored task against Palabra
+   */
+  async checkTaskStatuses() {
+    if (!this.isConfigured()) {
+      return;
+    }
+
+    for (const key of Array.from(this.activeTasks.keys())) {
+      await this.checkTaskStatus(key);
+    }
+  }
+
+  /**
+   * Start periodic remote task status checks
+   */
+  startStatusCheck() {
+    this.statusCheckTimer = setInterval(() => {
+      this.checkTaskStatuses().catch((error) => {
+        logger.error('Palabra Agora task status check failed', { error: error.message });
+      });
+    }, this.statusCheckInterval);
+
+    logger.info('Started Palabra Agora task status checks', {
+      interval: this.statusCheckInterval,
+      restartFailedTasks: this.restartFailedTasks
+    });
+  }
+
+  /**
+   * Stop periodic remote task status checks
+   */
+  stopStatusCheck() {
+    if (this.statusCheckTimer) {
+      clearInterval(this.statusCheckTimer);
+      this.statusCheckTimer = null;
+      logger.info('Stopped Palabra Agora task status checks');
+    }
+  }
+
+  /**
+   * Renew every task whose bot tokens expire within the renewal window
+   */
+  async renewExpiringTasks() {
+    for (const key of Array.from(this.activeTasks.keys())) {
+      await this.renewTaskTokens(key, false);
+    }
+  }
+
+  /**
+   * Start automatic bot token renewal
+   */
+  startTokenRenewal() {
+    this.tokenRenewalInterval = setInterval(() => {
+      this.renewExpiringTasks().catch((error) => {
+        logger.error('Palabra Agora token renewal check failed', { error: error.message });
+      });
+    }, this.renewalCheckInterval);
+
+    logger.info('Started automatic Palabra Agora token renewal');
+  }
+
+  /**
+   * Stop automatic bot token renewal
+   */
+  stopTokenRenewal() {
+    if (this.tokenRenewalInterval) {
+      clearInterval(this.tokenRenewalInterval);
+      this.tokenRenewalInterval = null;
+      logger.info('Stopped automatic Palabra Agora token renewal');
+    }
   }
 }
 
@@ -4,14 +4,16 @@ import logger from '../utils/logger.js';
 
 class PalabraOAuthService {
   constructor() {
-    console.log(config.translation.oauth.clientId,"config.translation.oauth.clientId",config.translation.oauth.clientSecret);
-    
     this.clientId = config.translation.oauth.clientId;
     this.clientSecret = config.translation.oauth.clientSecret;
     this.tokenUrl = config.translation.oauth.tokenUrl;
     this.scope = config.translation.oauth.scope;
+    this.refreshBeforeSeconds = config.translation.oauth.refreshBeforeSeconds;
+    this.backgroundRefresh = config.translation.oauth.backgroundRefresh;
     this.cachedToken = null;
-    this.tokenExpiry = null;
+    this.tokenExpiry = null; // when the cached token is due for replacement (ahead of its real expiry)
+    this.pendingRefresh = null; // token request in flight, shared by every caller
+    this.refreshTimer = null;
     
     if (!this.clientId || !this.clientSecret) {
       logger.warn('Palabra OAuth credentials not configured. OAuth service will be disabled.');
@@ -31,26 +33,60 @@ class PalabraOAuthService {
    * @returns {Promise<string>} OAuth access token
    */
   async getValidToken() {
-    try {
-      // Check if we have a cached token that's still valid
-      if (this.cachedToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-        logger.debug('Using cached OAuth token');
-        return this.cachedToken;
-      }
+    // Check if we have a cached token that's still valid
+    if (this.cachedToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
+      logger.debug('Using cached OAuth token');
+      return this.cachedToken;
+    }
 
-      // Request new token
+    return this.refreshToken();
+  }
+
+  /**
+   * Get a new OAuth token
+   * Concurrent callers share one token request. A caller whose token was rejected passes it in: if
+   * the cache already holds a different token, that one is returned without another request.
+   * @param {string} [rejectedToken] - Token Palabra refused
+   * @returns {Promise<string>} OAuth access token
+   */
+  async refreshToken(rejectedToken = null) {
+    if (rejectedToken && this.cachedToken && this.cachedToken !== rejectedToken) {
+      return this.cachedToken;
+    }
+    if (rejectedToken && this.cachedToken === rejectedToken) {
+      // Make getValidToken wait for the replacement instead of handing out the rejected token
+      this.tokenExpiry = null;
+    }
+
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.fetchToken().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+    return this.pendingRefresh;
+  }
+
+  /**
+   * Request a token, cache it and schedule its background replacement
+   * @returns {Promise<string>} OAuth access token
+   */
+  async fetchToken() {
+    try {
       logger.info('Requesting new Palabra OAuth token');
       const token = await this.requestNewToken();
-      
-      // Cache the token (subtract 5 minutes for safety margin)
+
+      // Replace the token refreshBeforeSeconds ahead of expiry (at most half its lifetime early)
+      const expiresIn = Number(token.expires_in) || 3600;
+      const margin = Math.min(this.refreshBeforeSeconds, expiresIn / 2);
       this.cachedToken = token.access_token;
-      this.tokenExpiry = Date.now() + (token.expires_in * 1000) - (5 * 60 * 1000);
-      
+      this.tokenExpiry = Date.now() + (expiresIn - margin) * 1000;
+
       logger.info('OAuth token obtained and cached', {
-        expiresIn: token.expires_in,
-        expiresAt: new Date(this.tokenExpiry).toISOString()
+        expiresIn,
+        refreshAt: new Date(this.tokenExpiry).toISOString()
       });
 
+      this.scheduleBackgroundRefresh();
       return this.cachedToken;
 
     } catch (error) {
@@ -62,6 +98,34 @@ class PalabraOAuthService {
     }
   }
 
+  /**
+   * Refresh the token when it is due, so requests never wait for one
+   * A failed background refresh is left to the next request, which refreshes on demand.
+   */
+  scheduleBackgroundRefresh() {
+    this.stopBackgroundRefresh();
+    if (!this.backgroundRefresh || !this.tokenExpiry) {
+      return;
+    }
+
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refreshToken().catch(() => {
+        // Already logged by fetchToken
+      });
+    }, Math.max(0, this.tokenExpiry - Date.now()));
+  }
+
+  /**
+   * Stop the scheduled background refresh
+   */
+  stopBackgroundRefresh() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
   /**
    * Request new OAuth token from Palabra
    * @returns {Promise<Object>} Token response
@@ -77,8 +141,6 @@ class PalabraOAuthService {
       client_secret: this.clientSecret,
       scope: this.scope
     };
-    console.log(requestData,"requestData");
-    
     const response = await axios.post(this.tokenUrl, requestData, {
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -101,6 +163,7 @@ class PalabraOAuthService {
     logger.info('Clearing cached OAuth token');
     this.cachedToken = null;
     this.tokenExpiry = null;
+    this.stopBackgroundRefresh();
   }
 
   /**
@@ -112,6 +175,8 @@ class PalabraOAuthService {
       hasToken: !!this.cachedToken,
       isExpired: this.tokenExpiry ? Date.now() >= this.tokenExpiry : true,
       expiresAt: this.tokenExpiry ? new Date(this.tokenExpiry).toISOString() : null,
+      isRefreshing: Boolean(this.pendingRefresh),
+      backgroundRefresh: Boolean(this.refreshTimer),
       isConfigured: this.isAvailable()
     };
   }
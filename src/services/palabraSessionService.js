@@ -1,13 +1,14 @@
-import axios from 'axios';
 import { config } from '../config/index.js';
 import logger from '../utils/logger.js';
-import palabraOAuthService from './palabraOAuthService.js';
+import translationProviderService from './translationProviderService.js';
+import persistenceService, { COLLECTIONS } from './persistenceService.js';
 
 class PalabraSessionService {
   constructor() {
-    this.apiUrl = config.translation.apiUrl;
     this.cacheTimeout = config.translation.session.cacheTimeout;
     this.maxSessions = config.translation.session.maxSessions;
+    this.orphanedSessionAction = config.persistence.orphanedTaskAction;
+    this.acceptingSessions = true;
     this.activeSessions = new Map(); // channel -> session data
     this.sessionCleanupInterval = null;
     
@@ -20,7 +21,7 @@ class PalabraSessionService {
    * @returns {boolean} True if service is configured
    */
   isAvailable() {
-    return palabraOAuthService.isAvailable();
+    return translationProviderService.getProvider().isConfigured();
   }
 
   /**
@@ -37,6 +38,10 @@ class PalabraSessionService {
         throw new Error('Palabra session service is not configured');
       }
 
+      if (!this.acceptingSessions) {
+        throw new Error('Server is shutting down; no new sessions are accepted');
+      }
+
       // Check if session already exists for this channel
       const existingSession = this.getActiveSession(channel);
       if (existingSession) {
@@ -59,50 +64,29 @@ class PalabraSessionService {
         options
       });
 
-      // Get OAuth token
-      const accessToken = await palabraOAuthService.getValidToken();
-
-      // Create session request
-      const sessionRequest = {
-        channel_name: channel,
-        source_language: sourceLanguage,
-        target_language: targetLanguage,
-        audio_format: options.audioFormat || 'pcm',
-        sample_rate: options.sampleRate || 16000,
-        channels: options.channels || 1,
-        ...options
-      };
-
-      // Request session from Palabra
-      const response = await axios.post(`${this.apiUrl}/sessions`, sessionRequest, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        timeout: config.translation.timeout
+      const created = await translationProviderService.getProvider().createSession({
+        channel,
+        sourceLanguage,
+        targetLanguage,
+        options
       });
 
-      if (!response.data.session_id) {
-        throw new Error('Invalid session response from Palabra');
-      }
-
       // Store session information
       const sessionData = {
-        sessionId: response.data.session_id,
+        sessionId: created.sessionId,
         channel: channel,
         sourceLanguage: sourceLanguage,
         targetLanguage: targetLanguage,
-        streamUrl: response.data.stream_url,
-        websocketUrl: response.data.websocket_url,
+        streamUrl: created.streamUrl,
+        websocketUrl: created.websocketUrl,
         status: 'active',
         createdAt: Date.now(),
         expiresAt: Date.now() + this.cacheTimeout,
-        options: options,
-        accessToken: accessToken
+        options: options
       };
 
       this.activeSessions.set(channel, sessionData);
+      this.persistSession(channel);
 
       logger.info('Palabra session created successfully', {
         channel,
@@ -141,6 +125,7 @@ class PalabraSessionService {
     if (Date.now() >= session.expiresAt) {
       logger.info('Session expired, removing from cache', { channel, sessionId: session.sessionId });
       this.activeSessions.delete(channel);
+      this.persistSession(channel);
       return null;
     }
 
@@ -168,17 +153,11 @@ class PalabraSessionService {
 
       logger.info('Ending Palabra session', { channel, sessionId: session.sessionId });
 
-      // Call Palabra API to end session
-      const response = await axios.delete(`${this.apiUrl}/sessions/${session.sessionId}`, {
-        headers: {
-          'Authorization': `Bearer ${session.accessToken}`,
-          'Accept': 'application/json'
-        },
-        timeout: config.translation.timeout
-      });
+      await translationProviderService.getProvider().endSession(session.sessionId);
 
       // Remove from cache
       this.activeSessions.delete(channel);
+      this.persistSession(channel);
 
       logger.info('Palabra session ended successfully', { channel, sessionId: session.sessionId });
       return true;
@@ -192,10 +171,100 @@ class PalabraSessionService {
       
       // Remove from cache even if API call failed
       this.activeSessions.delete(channel);
+      this.persistSession(channel);
       return false;
     }
   }
 
+  /**
+   * Mirror a channel's session (or its removal) to the persistence layer
+   * @param {string} channel - Channel name
+   */
+  persistSession(channel) {
+    try {
+      const session = this.activeSessions.get(channel);
+      if (session) {
+        persistenceService.save(COLLECTIONS.SESSIONS, channel, session);
+      } else {
+        persistenceService.remove(COLLECTIONS.SESSIONS, channel);
+      }
+    } catch (error) {
+      logger.error('Failed to persist Palabra session', { channel, error: error.message });
+    }
+  }
+
+  /**
+   * Check whether Palabra still knows a session
+   * @param {string} sessionId - Palabra session ID
+   * @returns {Promise<boolean|null>} False if the provider no longer knows it, null if it could not be reached
+   */
+  async sessionExists(sessionId) {
+    try {
+      return await translationProviderService.getProvider().sessionExists(sessionId);
+    } catch (error) {
+      logger.warn('Failed to check Palabra session', { sessionId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Reload sessions persisted by a previous run and reconcile them with Palabra
+   * Expired sessions and sessions Palabra no longer knows are dropped; the rest are resumed, or
+   * ended when PERSISTENCE_ORPHANED_TASK_ACTION=stop.
+   * @returns {Promise<Object>} { restored, resumed, stopped }
+   */
+  async restoreSessions() {
+    const records = persistenceService.list(COLLECTIONS.SESSIONS);
+    if (records.length === 0) {
+      return { restored: 0, resumed: 0, stopped: 0 };
+    }
+
+    if (!this.isAvailable()) {
+      logger.warn('Palabra session service is not configured; leaving persisted sessions untouched', { count: records.length });
+      return { restored: 0, resumed: 0, stopped: 0 };
+    }
+
+    for (const record of records) {
+      this.activeSessions.set(record.channel, { ...record });
+
+      if (Date.now() >= record.expiresAt) {
+        this.activeSessions.delete(record.channel);
+        this.persistSession(record.channel);
+      } else if (this.orphanedSessionAction === 'stop') {
+        await this.endSession(record.channel);
+      } else if (await this.sessionExists(record.sessionId) === false) {
+        logger.info('Dropping persisted session unknown to Palabra', { channel: record.channel, sessionId: record.sessionId });
+        this.activeSessions.delete(record.channel);
+        this.persistSession(record.channel);
+      }
+    }
+
+    const resumed = records.filter(record => this.activeSessions.has(record.channel)).length;
+    const summary = { restored: records.length, resumed, stopped: records.length - resumed };
+    logger.info('Restored persisted Palabra sessions', { ...summary, action: this.orphanedSessionAction });
+    return summary;
+  }
+
+  /**
+   * Refuse new sessions (e.g. during shutdown); active sessions are not affected
+   */
+  stopAcceptingSessions() {
+    this.acceptingSessions = false;
+  }
+
+  /**
+   * End every active session
+   * @returns {Promise<Object>} { ended, failed } session counts
+   */
+  async endAllSessions() {
+    const summary = { ended: 0, failed: 0 };
+    for (const channel of Array.from(this.activeSessions.keys())) {
+      const ended = await this.endSession(channel);
+      summary[ended ? 'ended' : 'failed']++;
+    }
+    return summary;
+  }
+
   /**
    * Get session status for a channel
    * @param {string} channel - Channel name
@@ -251,6 +320,7 @@ class PalabraSessionService {
       if (now >= session.expiresAt) {
         logger.debug('Cleaning up expired session', { channel, sessionId: session.sessionId });
         this.activeSessions.delete(channel);
+        this.persistSession(channel);
         cleanedCount++;
       }
     }
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { LruCache } from '../utils/lruCache.js';
+import { toTaskStatus } from '../providers/palabraProvider.js';
+import palabraAgoraService from './palabraAgoraService.js';
+import { namedError } from '../utils/errors.js';
+
+// Event IDs remembered for replay detection
+const MAX_SEEN_EVENTS = 10000;
+
+/**
+ * Receives task lifecycle events Palabra posts to us
+ * Requests carry `X-Palabra-Timestamp` (unix seconds) and `X-Palabra-Signature: sha256=<hex>`, the
+ * HMAC-SHA256 of `<timestamp>.<raw body>` with the shared secret.
+ */
+class PalabraWebhookService {
+  constructor() {
+    this.secret = config.webhooks.palabra.secret;
+    this.tolerance = config.webhooks.palabra.tolerance;
+    // event ID (or signature) -> true, kept as long as its timestamp can pass the tolerance check
+    this.seenEvents = new LruCache({ maxEntries: MAX_SEEN_EVENTS, ttl: this.tolerance * 2 * 1000 });
+    this.stats = { received: 0, applied: 0, ignored: 0, rejected: 0 };
+  }
+
+  /**
+   * Check if webhooks can be verified
+   * @returns {boolean} True if a shared secret is configured
+   */
+  isConfigured() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Signature for a request body
+   * @param {string} timestamp - X-Palabra-Timestamp value
+   * @param {Buffer|string} rawBody - Request body as received
+   * @returns {string} `sha256=<hex>`
+   */
+  sign(timestamp, rawBody) {
+    const hmac = crypto.createHmac('sha256', this.secret);
+    hmac.update(`${timestamp}.`);
+    hmac.update(rawBody);
+    return `sha256=${hmac.digest('hex')}`;
+  }
+
+  /**
+   * Verify a request's signature and timestamp
+   * @param {Buffer|string} rawBody - Request body as received
+   * @param {Object} headers - Request headers
+   * @returns {string} The verified signature
+   */
+  verifySignature(rawBody, headers) {
+    const timestamp = headers['x-palabra-timestamp'];
+    const signature = headers['x-palabra-signature'];
+    if (!timestamp || !signature || rawBody === undefined) {
+      throw namedError('UnauthorizedError', 'Missing webhook signature');
+    }
+
+    const expected = Buffer.from(this.sign(timestamp, rawBody));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw namedError('UnauthorizedError', 'Invalid webhook signature');
+    }
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!(age <= this.tolerance)) {
+      throw namedError('UnauthorizedError', 'Webhook timestamp is outside the accepted window');
+    }
+
+    return String(signature);
+  }
+
+  /**
+   * Read the fields we act on from a Palabra event
+   * Accepts `{ id, type, data: { task_id, status } }` as well as the fields at the top level; without a
+   * status the last part of the type is used (`task.failed` -> failed).
+   * @param {Object} body - Parsed request body
+   * @returns {Object} { eventId, eventType, taskId, remoteStatus, status }
+   */
+  parseEvent(body = {}) {
+    const data = body.data && typeof body.data === 'object' ? body.data : body;
+    const eventType = body.type || body.event || null;
+    const taskId = data.task_id || data.taskId || body.task_id || null;
+    const remoteStatus = data.status || body.status || (eventType ? String(eventType).split('.').pop() : null);
+
+    if (!taskId) {
+      throw namedError('ValidationError', 'Webhook event has no task_id');
+    }
+
+    return {
+      eventId: body.id || body.event_id || null,
+      eventType,
+      taskId: String(taskId),
+      remoteStatus,
+      status: toTaskStatus(remoteStatus)
+    };
+  }
+
+  /**
+   * Verify a webhook request and apply its event to the matching task
+   * A replayed request (same event ID, or same signature for events without one) is rejected; an
+   * event that could not be applied is forgotten again so Palabra's retry goes through.
+   * @param {Buffer|string} rawBody - Request body as received
+   * @param {Object} headers - Request headers
+   * @param {Object} body - Parsed request body
+   * @returns {Promise<Object>} { eventId, eventType, taskId, status, applied, result }
+   */
+  async handleEvent(rawBody, headers, body) {
+    if (!this.isConfigured()) {
+      throw namedError('ServiceUnavailableError', 'Palabra webhooks are not configured (PALABRA_WEBHOOK_SECRET)');
+    }
+
+    this.stats.received++;
+    let event;
+    let replayKey;
+    try {
+      const signature = this.verifySignature(rawBody, headers);
+      event = this.parseEvent(body);
+      replayKey = event.eventId ? `id:${event.eventId}` : `sig:${signature}`;
+      if (this.seenEvents.get(replayKey)) {
+        throw namedError('ConflictError', 'Webhook event was already received');
+      }
+    } catch (error) {
+      this.stats.rejected++;
+      logger.warn('Rejected Palabra webhook', { reason: error.message });
+      throw error;
+    }
+
+    this.seenEvents.set(replayKey, true);
+
+    if (!event.status) {
+      this.stats.ignored++;
+      logger.info('Ignored Palabra webhook with unknown status', { ...event });
+      return { ...event, applied: false, result: null };
+    }
+
+    let result;
+    try {
+      result = await palabraAgoraService.applyReportedStatus(event.taskId, event.status, event);
+    } catch (error) {
+      this.seenEvents.delete(replayKey);
+      throw error;
+    }
+
+    this.stats[result ? 'applied' : 'ignored']++;
+    logger.info('Received Palabra webhook', {
+      eventId: event.eventId,
+      eventType: event.eventType,
+      taskId: event.taskId,
+      status: event.status,
+      applied: Boolean(result)
+    });
+
+    return { ...event, applied: Boolean(result), result };
+  }
+
+  /**
+   * Get webhook statistics
+   * @returns {Object} Webhook statistics
+   */
+  getStats() {
+    return {
+      configured: this.isConfigured(),
+      ...this.stats
+    };
+  }
+}
+
+export default new PalabraWebhookService();
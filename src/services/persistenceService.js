@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Collections kept by the persistence layer
+ */
+export const COLLECTIONS = {
+  AGORA_TASKS: 'agoraTasks',
+  SESSIONS: 'sessions',
+  GLOSSARIES: 'glossaries',
+  TRANSCRIPTS: 'transcripts',
+  WEBHOOK_SUBSCRIPTIONS: 'webhookSubscriptions',
+  WEBHOOK_DEAD_LETTERS: 'webhookDeadLetters'
+};
+
+const SEALED_PREFIX = 'sealed:v1:';
+
+/**
+ * Store keeping records in process memory only (nothing survives a restart)
+ */
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * All records of a collection
+   * @param {string} collection - Collection name
+   * @returns {Array<Object>} Records
+   */
+  list(collection) {
+    return Array.from(this.getCollection(collection).values());
+  }
+
+  set(collection, key, record) {
+    this.getCollection(collection).set(key, record);
+  }
+
+  delete(collection, key) {
+    this.getCollection(collection).delete(key);
+  }
+
+  async flush() {}
+}
+
+/**
+ * Store mirroring its records to a JSON file
+ * Writes are coalesced and serialised; each write replaces the file atomically (temp file + rename).
+ */
+class JsonFileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.writeChain = Promise.resolve();
+    this.writeScheduled = false;
+    this.load();
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read persisted state', { filePath: this.filePath, error: error.message });
+      }
+      return;
+    }
+
+    try {
+      const data = JSON.parse(raw);
+      for (const [collection, records] of Object.entries(data)) {
+        this.collections.set(collection, new Map(Object.entries(records)));
+      }
+      logger.info('Loaded persisted state', { filePath: this.filePath });
+    } catch (error) {
+      logger.error('Ignoring unreadable persisted state', { filePath: this.filePath, error: error.message });
+    }
+  }
+
+  set(collection, key, record) {
+    super.set(collection, key, record);
+    this.scheduleWrite();
+  }
+
+  delete(collection, key) {
+    super.delete(collection, key);
+    this.scheduleWrite();
+  }
+
+  scheduleWrite() {
+    if (this.writeScheduled) {
+      return;
+    }
+
+    this.writeScheduled = true;
+    this.writeChain = this.writeChain
+      .then(() => {
+        this.writeScheduled = false;
+        return this.write();
+      })
+      .catch((error) => {
+        logger.error('Failed to write persisted state', { filePath: this.filePath, error: error.message });
+      });
+  }
+
+  async write() {
+    const data = Object.fromEntries(
+      Array.from(this.collections.entries()).map(([collection, records]) => [collection, Object.fromEntries(records)])
+    );
+    const tempPath = `${this.filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  // Resolve once every pending change is on disk
+  async flush() {
+    await this.writeChain;
+  }
+}
+
+class PersistenceService {
+  constructor() {
+    // Driver name -> (config.persistence) => store
+    this.drivers = new Map();
+
+    this.registerDriver('memory', () => new MemoryStore());
+    this.registerDriver('file', (options) => new JsonFileStore(options.filePath));
+
+    this.useDriver(config.persistence.driver);
+    this.secretKey = config.persistence.secretKey
+      ? crypto.createHash('sha256').update(config.persistence.secretKey).digest()
+      : null;
+  }
+
+  /**
+   * Encrypt a secret for storage (AES-256-GCM keyed by PERSISTENCE_SECRET_KEY)
+   * @param {string} value - Secret
+   * @returns {string|null} Sealed value, or null without a key (the secret must not be stored then)
+   */
+  sealSecret(value) {
+    if (!this.secretKey || !value) {
+      return null;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.secretKey, iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return SEALED_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a secret sealed by sealSecret
+   * @param {string} sealed - Sealed value
+   * @returns {string|null} Secret, or null if there is no key or the value was not sealed with it
+   */
+  openSecret(sealed) {
+    if (!this.secretKey || typeof sealed !== 'string' || !sealed.startsWith(SEALED_PREFIX)) {
+      return null;
+    }
+
+    try {
+      const [iv, tag, encrypted] = sealed.slice(SEALED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.secretKey, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Register a storage driver
+   * A store implements list(collection), set(collection, key, record), delete(collection, key)
+   * and flush(); records must be JSON-serialisable.
+   * @param {string} name - Driver name (PERSISTENCE_DRIVER)
+   * @param {Function} factory - (options) => store
+   */
+  registerDriver(name, factory) {
+    this.drivers.set(name, factory);
+  }
+
+  /**
+   * Switch to a registered driver
+   * @param {string} name - Driver name
+   */
+  useDriver(name) {
+    const factory = this.drivers.get(name);
+    if (!factory) {
+      throw new Error(`Unknown persistence driver: ${name}`);
+    }
+
+    this.driver = name;
+    this.store = factory(config.persistence);
+    logger.info('Using persistence driver', { driver: name });
+  }
+
+  /**
+   * Whether state survives a restart
+   * @returns {boolean} False for the in-memory driver
+   */
+  isDurable() {
+    return this.driver !== 'memory';
+  }
+
+  list(collection) {
+    return this.store.list(collection);
+  }
+
+  save(collection, key, record) {
+    this.store.set(collection, key, record);
+  }
+
+  remove(collection, key) {
+    this.store.delete(collection, key);
+  }
+
+  flush() {
+    return this.store.flush();
+  }
+}
+
+export default new PersistenceService();
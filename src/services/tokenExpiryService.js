@@ -0,0 +1,135 @@
+import { EventEmitter } from 'events';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+class TokenExpiryService extends EventEmitter {
+  constructor() {
+    super();
+    this.warningSeconds = config.token.expiryWarningSeconds;
+    this.checkInterval = config.token.expiryCheckInterval;
+    // `${channel}:${uid|account}` -> { channel, uid, account, role, tokenType, expiresAt, socketId, warned }
+    this.issuedTokens = new Map();
+    this.expiryCheckInterval = null;
+
+    // Start expiry check interval
+    this.startExpiryCheck();
+  }
+
+  getKey(channel, uidOrAccount) {
+    return `${channel}:${uidOrAccount}`;
+  }
+
+  /**
+   * Record a token issued to a participant
+   * @param {Object} tokenData - Token data returned by TokenService.generateToken
+   * @param {string} [socketId] - Socket that requested the token, if any
+   */
+  track(tokenData, socketId = null) {
+    const identity = tokenData.account || tokenData.uid;
+    if (!tokenData.channel || identity === null || identity === undefined) {
+      return;
+    }
+
+    const key = this.getKey(tokenData.channel, identity);
+    const existing = this.issuedTokens.get(key);
+
+    this.issuedTokens.set(key, {
+      channel: tokenData.channel,
+      uid: tokenData.uid,
+      account: tokenData.account || null,
+      role: tokenData.role,
+      tokenType: tokenData.tokenType,
+      expiresAt: tokenData.expiresAt,
+      socketId: socketId || existing?.socketId || null,
+      warned: false
+    });
+  }
+
+  /**
+   * Get the last token issued to a participant
+   * @param {string} channel - Channel name
+   * @param {number|string} uidOrAccount - UID or string account
+   * @returns {Object|null} Issued token record
+   */
+  get(channel, uidOrAccount) {
+    return this.issuedTokens.get(this.getKey(channel, uidOrAccount)) || null;
+  }
+
+  /**
+   * Bind a participant's issued token to the socket that joined with it
+   * @param {string} channel - Channel name
+   * @param {number|string} uidOrAccount - UID or string account
+   * @param {string} socketId - Socket ID
+   */
+  attachSocket(channel, uidOrAccount, socketId) {
+    const record = this.get(channel, uidOrAccount);
+    if (record) {
+      record.socketId = socketId;
+    }
+  }
+
+  /**
+   * Forget tokens bound to a socket
+   * @param {string} socketId - Socket ID
+   * @param {string} [channel] - Limit to a single channel
+   */
+  forgetSocket(socketId, channel = null) {
+    for (const [key, record] of this.issuedTokens.entries()) {
+      if (record.socketId === socketId && (!channel || record.channel === channel)) {
+        this.issuedTokens.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Emit `token_expiring` for tokens entering the warning window and drop expired ones
+   */
+  checkExpiringTokens() {
+    const nowTs = Math.floor(Date.now() / 1000);
+
+    for (const [key, record] of this.issuedTokens.entries()) {
+      if (record.expiresAt <= nowTs) {
+        this.issuedTokens.delete(key);
+        continue;
+      }
+
+      if (!record.warned && record.expiresAt - nowTs <= this.warningSeconds) {
+        record.warned = true;
+        logger.debug('Token expiring soon', {
+          channel: record.channel,
+          uid: record.uid,
+          account: record.account,
+          expiresAt: record.expiresAt
+        });
+        this.emit('token_expiring', {
+          ...record,
+          expiresIn: record.expiresAt - nowTs
+        });
+      }
+    }
+  }
+
+  /**
+   * Start automatic expiry checks
+   */
+  startExpiryCheck() {
+    this.expiryCheckInterval = setInterval(() => {
+      this.checkExpiringTokens();
+    }, this.checkInterval);
+
+    logger.info('Started token expiry checks');
+  }
+
+  /**
+   * Stop automatic expiry checks
+   */
+  stopExpiryCheck() {
+    if (this.expiryCheckInterval) {
+      clearInterval(this.expiryCheckInterval);
+      this.expiryCheckInterval = null;
+      logger.info('Stopped token expiry checks');
+    }
+  }
+}
+
+export default new TokenExpiryService();
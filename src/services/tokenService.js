@@ -1,6 +1,29 @@
 import pkg from 'agora-access-token';
-const { RtcTokenBuilder, RtcRole } = pkg;
+const { RtcTokenBuilder, RtcRole, RtmTokenBuilder, RtmRole } = pkg;
 import { config } from '../config/index.js';
+import uidAllocatorService, { UID_KINDS } from './uidAllocatorService.js';
+
+/**
+ * Agora channel roles a token can be issued for
+ */
+export const TOKEN_ROLES = {
+  PUBLISHER: 'publisher',
+  SUBSCRIBER: 'subscriber'
+};
+
+/**
+ * Token kinds a single request can ask for
+ */
+export const TOKEN_TYPES = {
+  RTC: 'rtc',
+  RTM: 'rtm',
+  BOTH: 'both'
+};
+
+const RTC_ROLE_MAP = {
+  [TOKEN_ROLES.PUBLISHER]: RtcRole.PUBLISHER,
+  [TOKEN_ROLES.SUBSCRIBER]: RtcRole.SUBSCRIBER
+};
 
 class TokenService {
   constructor() {
@@ -13,13 +36,20 @@ class TokenService {
   }
 
   /**
-   * Generate Agora RTC token
+   * Generate Agora RTC and/or RTM token
    * @param {string} channel - Channel name
    * @param {number} uid - User ID (optional, will generate random if not provided)
    * @param {number} expireSeconds - Token expiration time in seconds
-   * @returns {Object} Token data including token, uid, channel, and expiration
+   * @param {Object} [options]
+   * @param {string} [options.role] - 'publisher' or 'subscriber' (RTC only)
+   * @param {string} [options.tokenType] - 'rtc', 'rtm' or 'both'
+   * @param {string} [options.account] - String user account (uses buildTokenWithAccount)
+   * @param {string} [options.uidKind] - 'user' or 'bot' (bots get UIDs from the reserved band)
+   * @param {string} [options.owner] - Owner of the allocated UID (socket id, task key, ...)
+   * @param {string} [options.identity] - Authenticated identity ID of the requester
+   * @returns {Object} Token data including token, uid, channel, granted privileges and expiration
    */
-  generateToken(channel, uid = null, expireSeconds = null) {
+  generateToken(channel, uid = null, expireSeconds = null, options = {}) {
     console.log("generate Town");
     
     try {
@@ -28,9 +58,18 @@ class TokenService {
         throw new Error('Channel name is required and must be a string');
       }
 
-      // Generate UID if not provided
-      const finalUid = uid || Math.floor(Math.random() * config.token.defaultUidRange);
-      
+      const role = options.role || config.token.defaultRole;
+      const tokenType = options.tokenType || TOKEN_TYPES.RTC;
+      const account = options.account || null;
+
+      if (!RTC_ROLE_MAP[role]) {
+        throw new Error(`Unsupported token role: ${role}`);
+      }
+
+      if (!Object.values(TOKEN_TYPES).includes(tokenType)) {
+        throw new Error(`Unsupported token type: ${tokenType}`);
+      }
+
       // Use default expiration if not provided
       const finalExpireSeconds = expireSeconds || config.token.defaultExpireSeconds;
       
@@ -38,57 +77,148 @@ class TokenService {
       const currentTs = Math.floor(Date.now() / 1000);
       const privilegeTs = currentTs + finalExpireSeconds;
 
+      // Allocate a unique UID in the channel (string accounts do not need a numeric UID).
+      // Bot UIDs are released explicitly when their task stops, user UIDs when the token expires.
+      const uidKind = options.uidKind || UID_KINDS.USER;
+      const finalUid = account ? null : uidAllocatorService.allocate(channel, {
+        preferredUid: uid || null,
+        kind: uidKind,
+        owner: options.owner || null,
+        identity: options.identity || null,
+        expiresAt: uidKind === UID_KINDS.BOT ? null : privilegeTs
+      });
+      if (account) {
+        uidAllocatorService.claimAccount(channel, account, {
+          owner: options.owner || null,
+          identity: options.identity || null,
+          expiresAt: privilegeTs
+        });
+      }
+
+      const includeRtc = tokenType === TOKEN_TYPES.RTC || tokenType === TOKEN_TYPES.BOTH;
+      const includeRtm = tokenType === TOKEN_TYPES.RTM || tokenType === TOKEN_TYPES.BOTH;
+
       console.log('Token generation details:', {
         channel,
         uid: finalUid,
+        account,
+        role,
+        tokenType,
         currentTs,
         expireSeconds: finalExpireSeconds,
         privilegeTs,
         serverTime: new Date().toISOString()
       });
 
-      // Generate token
-      const token = RtcTokenBuilder.buildTokenWithUid(
-        this.appId,
-        this.appCert,
-        channel,
-        finalUid,
-        RtcRole.PUBLISHER,
-        privilegeTs
-      );
+      // Generate RTC token
+      let rtcToken = null;
+      if (includeRtc) {
+        rtcToken = account
+          ? RtcTokenBuilder.buildTokenWithAccount(
+            this.appId,
+            this.appCert,
+            channel,
+            account,
+            RTC_ROLE_MAP[role],
+            privilegeTs
+          )
+          : RtcTokenBuilder.buildTokenWithUid(
+            this.appId,
+            this.appCert,
+            channel,
+            finalUid,
+            RTC_ROLE_MAP[role],
+            privilegeTs
+          );
+      }
 
-      console.log(`Generated token for channel: ${channel}, uid: ${finalUid}`);
+      // Generate RTM token (RTM identifies users by string account)
+      let rtmToken = null;
+      if (includeRtm) {
+        rtmToken = RtmTokenBuilder.buildToken(
+          this.appId,
+          this.appCert,
+          account || String(finalUid),
+          RtmRole.Rtm_User,
+          privilegeTs
+        );
+      }
+
+      console.log(`Generated ${tokenType} token for channel: ${channel}, ${account ? `account: ${account}` : `uid: ${finalUid}`}`);
 
       return {
-        token,
+        token: rtcToken || rtmToken,
+        ...(includeRtc && { rtcToken }),
+        ...(includeRtm && { rtmToken }),
         uid: finalUid,
+        ...(account && { account }),
         channel,
+        role,
+        tokenType,
+        granted: {
+          rtc: includeRtc ? role : null,
+          rtm: includeRtm
+        },
         expiresAt: privilegeTs,
         generatedAt: currentTs
       };
     } catch (error) {
       console.error('Error generating token:', error);
-      throw new Error(`Token generation failed: ${error.message}`);
+      const failure = new Error(`Token generation failed: ${error.message}`);
+      failure.name = error.name; // keeps ValidationError / ConflictError for the status code
+      throw failure;
     }
   }
 
+  /**
+   * Build a publisher RTC token for a UID the caller already holds (no UID is allocated)
+   * Used to re-mint tokens that are deliberately not persisted, e.g. a translated speaker's.
+   * @param {string} channel - Channel name
+   * @param {number} uid - Agora UID
+   * @param {number} [expireSeconds] - Token lifetime (default: TOKEN_EXPIRE_SECONDS)
+   * @returns {{ token: string, channel: string, uid: number, expiresAt: number }}
+   */
+  buildPublisherToken(channel, uid, expireSeconds = null) {
+    const expiresAt = Math.floor(Date.now() / 1000) + (expireSeconds || config.token.defaultExpireSeconds);
+    const token = RtcTokenBuilder.buildTokenWithUid(this.appId, this.appCert, channel, uid, RtcRole.PUBLISHER, expiresAt);
+    return { token, channel, uid, expiresAt };
+  }
+
   /**
    * Validate token parameters
    * @param {string} channel - Channel name
    * @param {number} uid - User ID
+   * @param {Object} [options] - { role, tokenType, account }
    * @returns {Object} Validation result
    */
-  validateTokenParams(channel, uid) {
+  validateTokenParams(channel, uid, options = {}) {
     const errors = [];
+    const { role, tokenType, account } = options;
 
     if (!channel || typeof channel !== 'string') {
       errors.push('Channel name is required and must be a string');
     }
 
-    if (uid !== null && uid !== undefined && (typeof uid !== 'number' || uid < 0)) {
+    if (uid !== null && uid !== undefined && (typeof uid !== 'number' || !Number.isInteger(uid) || uid < 0)) {
       errors.push('UID must be a positive number');
     }
 
+    if (role !== null && role !== undefined && !Object.values(TOKEN_ROLES).includes(role)) {
+      errors.push(`Role must be one of: ${Object.values(TOKEN_ROLES).join(', ')}`);
+    }
+
+    if (tokenType !== null && tokenType !== undefined && !Object.values(TOKEN_TYPES).includes(tokenType)) {
+      errors.push(`Token type must be one of: ${Object.values(TOKEN_TYPES).join(', ')}`);
+    }
+
+    if (account !== null && account !== undefined) {
+      if (typeof account !== 'string' || account.length === 0 || account.length > 255) {
+        errors.push('Account must be a non-empty string of at most 255 characters');
+      } else if (uid !== null && uid !== undefined) {
+        errors.push('Provide either uid or account, not both');
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
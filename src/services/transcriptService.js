@@ -0,0 +1,328 @@
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { isValidLanguageCode } from '../utils/validation.js';
+import { toSrt, toWebVtt, toText } from '../utils/transcriptFormats.js';
+import persistenceService, { COLLECTIONS } from './persistenceService.js';
+import palabraAgoraService from './palabraAgoraService.js';
+import captionService from './captionService.js';
+import { namedError } from '../utils/errors.js';
+
+/**
+ * Transcript export formats
+ */
+export const TRANSCRIPT_FORMATS = {
+  JSON: 'json',
+  SRT: 'srt',
+  VTT: 'vtt',
+  TEXT: 'txt'
+};
+
+// Format -> { contentType, render(segments) } for the document formats
+const RENDERERS = {
+  [TRANSCRIPT_FORMATS.SRT]: { contentType: 'application/x-subrip', render: toSrt },
+  [TRANSCRIPT_FORMATS.VTT]: { contentType: 'text/vtt', render: toWebVtt },
+  [TRANSCRIPT_FORMATS.TEXT]: { contentType: 'text/plain', render: toText }
+};
+
+// Segment duration bounds; a start without a partial is estimated from the word count
+const MIN_SEGMENT_DURATION = 1000;
+const MAX_SEGMENT_DURATION = 30000;
+const ESTIMATED_MS_PER_WORD = 400;
+
+// Split a comma separated query value (or repeated query parameter) into values
+const splitList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+class TranscriptService {
+  constructor() {
+    this.enabled = config.transcripts.enabled;
+    this.retention = config.transcripts.retention;
+    this.maxSegmentsPerChannel = config.transcripts.maxSegmentsPerChannel;
+    this.persistInterval = config.transcripts.persistInterval;
+    this.persistBatchSize = config.transcripts.persistBatchSize;
+    // channel -> { channel, segments, updatedAt }
+    this.transcripts = new Map();
+    // `${channel}:${speakerUid}:${captionId}` -> time the caption's first partial arrived (in any language;
+    // translations share the caption ID of the speech they translate)
+    this.pendingStarts = new Map();
+    this.recorded = 0;
+    // channel -> segments recorded since its transcript was last saved
+    this.unsavedSegments = new Map();
+    this.persistTimer = null;
+
+    for (const transcript of persistenceService.list(COLLECTIONS.TRANSCRIPTS)) {
+      this.transcripts.set(transcript.channel, transcript);
+    }
+
+    if (this.enabled) {
+      captionService.on('caption', (caption) => {
+        try {
+          this.record(caption);
+        } catch (error) {
+          logger.error('Failed to record transcript segment', { channel: caption.channel, error: error.message });
+        }
+      });
+    }
+  }
+
+  /**
+   * Record a relayed caption
+   * Partials only mark when a caption started; finals are stored as segments with `start`/`end`
+   * in milliseconds after the start of the speaker's task.
+   * @param {Object} caption - Caption emitted by captionService
+   */
+  record(caption) {
+    const now = Date.now();
+    const pendingKey = caption.captionId
+      ? `${caption.channel}:${caption.speakerUid}:${caption.captionId}`
+      : null;
+
+    if (!caption.isFinal) {
+      if (pendingKey && !this.pendingStarts.has(pendingKey)) {
+        this.pendingStarts.set(pendingKey, now);
+      }
+      return;
+    }
+
+    const task = palabraAgoraService.getTask(caption.channel, caption.speakerUid);
+    const taskStartedAt = task?.createdAt || now;
+    let transcript = this.transcripts.get(caption.channel);
+    if (!transcript) {
+      transcript = { channel: caption.channel, segments: [], updatedAt: now };
+      this.transcripts.set(caption.channel, transcript);
+    }
+
+    const end = now - taskStartedAt;
+    const partialAt = pendingKey ? this.pendingStarts.get(pendingKey) : undefined;
+    let start;
+    if (partialAt !== undefined) {
+      start = Math.min(partialAt - taskStartedAt, end - MIN_SEGMENT_DURATION);
+    } else {
+      // No partial seen: estimate from the text, without overlapping the speaker's previous segment
+      let previous = null;
+      for (let index = transcript.segments.length - 1; index >= 0 && !previous; index--) {
+        const segment = transcript.segments[index];
+        if (segment.speakerUid === caption.speakerUid && segment.language === caption.language &&
+          segment.taskStartedAt === taskStartedAt) {
+          previous = segment;
+        }
+      }
+      const words = caption.text.trim().split(/\s+/).length;
+      const estimated = Math.min(MAX_SEGMENT_DURATION, Math.max(MIN_SEGMENT_DURATION, words * ESTIMATED_MS_PER_WORD));
+      start = Math.max(end - estimated, previous ? previous.end : 0);
+    }
+
+    transcript.segments.push({
+      speakerUid: caption.speakerUid,
+      language: caption.language,
+      kind: caption.kind,
+      text: caption.text,
+      captionId: caption.captionId,
+      taskId: caption.taskId,
+      taskStartedAt,
+      start: Math.max(0, Math.min(start, end)),
+      end: Math.max(0, end)
+    });
+    if (transcript.segments.length > this.maxSegmentsPerChannel) {
+      transcript.segments.splice(0, transcript.segments.length - this.maxSegmentsPerChannel);
+    }
+    transcript.updatedAt = now;
+    this.recorded++;
+
+    this.schedulePersist(caption.channel);
+    this.pruneExpired(now);
+  }
+
+  /**
+   * Validate transcript export parameters
+   * @param {Object} query - { format, language, speakerUid } (language and speakerUid may be comma separated)
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  validateExportQuery({ format, language, speakerUid } = {}) {
+    const errors = [];
+
+    if (format !== undefined && !Object.values(TRANSCRIPT_FORMATS).includes(format)) {
+      errors.push(`Format must be one of: ${Object.values(TRANSCRIPT_FORMATS).join(', ')}`);
+    }
+
+    if (splitList(language).some(code => !isValidLanguageCode(code))) {
+      errors.push('Language filter must contain valid language codes');
+    }
+
+    if (splitList(speakerUid).some(uid => Number.isNaN(Number(uid)))) {
+      errors.push('Speaker filter must contain numeric UIDs');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Get a channel's transcript
+   * Segment times are moved onto one timeline starting with the earliest task among the selected segments.
+   * @param {string} channel - Channel name
+   * @param {Object} [filters] - { language, speakerUid } (values or comma separated lists)
+   * @returns {Object} { channel, startedAt, segments }
+   */
+  getTranscript(channel, { language, speakerUid } = {}) {
+    this.pruneExpired();
+
+    const transcript = this.transcripts.get(channel);
+    if (!transcript) {
+      throw namedError('NotFoundError', `No transcript for channel ${channel}`);
+    }
+
+    const languages = splitList(language);
+    const speakers = splitList(speakerUid).map(Number);
+    const selected = transcript.segments.filter(segment =>
+      (languages.length === 0 || languages.includes(segment.language)) &&
+      (speakers.length === 0 || speakers.includes(segment.speakerUid))
+    );
+
+    const startedAt = selected.length > 0 ? Math.min(...selected.map(segment => segment.taskStartedAt)) : null;
+    const segments = selected
+      .map(({ taskStartedAt, start, end, ...segment }) => ({
+        ...segment,
+        start: start + (taskStartedAt - startedAt),
+        end: end + (taskStartedAt - startedAt)
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    return {
+      channel,
+      startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+      segments
+    };
+  }
+
+  /**
+   * Render a transcript as an SRT, WebVTT or text document
+   * @param {Object} transcript - Result of getTranscript
+   * @param {string} format - TRANSCRIPT_FORMATS value other than json
+   * @returns {Object} { contentType, body }
+   */
+  renderTranscript(transcript, format) {
+    const renderer = RENDERERS[format];
+    if (!renderer) {
+      throw namedError('ValidationError', `Cannot render a transcript as ${format}`);
+    }
+
+    return {
+      contentType: renderer.contentType,
+      body: renderer.render(transcript.segments)
+    };
+  }
+
+  /**
+   * Delete a channel's transcript
+   * @param {string} channel - Channel name
+   */
+  deleteTranscript(channel) {
+    if (!this.transcripts.has(channel)) {
+      throw namedError('NotFoundError', `No transcript for channel ${channel}`);
+    }
+
+    this.transcripts.delete(channel);
+    for (const key of this.pendingStarts.keys()) {
+      if (key.startsWith(`${channel}:`)) {
+        this.pendingStarts.delete(key);
+      }
+    }
+    this.persistTranscript(channel);
+    logger.info('Deleted transcript', { channel });
+  }
+
+  /**
+   * Drop transcripts without new segments for longer than the retention period,
+   * and partial start marks whose final never arrived
+   * @param {number} [now] - Current time in ms
+   */
+  pruneExpired(now = Date.now()) {
+    for (const [channel, transcript] of this.transcripts) {
+      if (now - transcript.updatedAt > this.retention) {
+        this.transcripts.delete(channel);
+        this.persistTranscript(channel);
+        logger.info('Expired transcript', { channel, segments: transcript.segments.length });
+      }
+    }
+
+    for (const [key, startedAt] of this.pendingStarts) {
+      if (now - startedAt > MAX_SEGMENT_DURATION) {
+        this.pendingStarts.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Save a channel's new segments later, or now once enough of them are waiting
+   * Saving re-serialises the whole transcript, so it is not done for every caption.
+   * @param {string} channel - Channel name
+   */
+  schedulePersist(channel) {
+    const unsaved = (this.unsavedSegments.get(channel) || 0) + 1;
+    if (unsaved >= this.persistBatchSize) {
+      this.persistTranscript(channel);
+      return;
+    }
+
+    this.unsavedSegments.set(channel, unsaved);
+    if (!this.persistTimer) {
+      this.persistTimer = setTimeout(() => this.persistPending(), this.persistInterval);
+      this.persistTimer.unref();
+    }
+  }
+
+  /**
+   * Save every transcript with unsaved segments (e.g. before shutdown)
+   */
+  persistPending() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    for (const channel of [...this.unsavedSegments.keys()]) {
+      this.persistTranscript(channel);
+    }
+  }
+
+  /**
+   * Mirror a transcript (or its removal) to the persistence layer
+   * @param {string} channel - Channel name
+   */
+  persistTranscript(channel) {
+    this.unsavedSegments.delete(channel);
+    try {
+      const transcript = this.transcripts.get(channel);
+      if (transcript) {
+        persistenceService.save(COLLECTIONS.TRANSCRIPTS, channel, transcript);
+      } else {
+        persistenceService.remove(COLLECTIONS.TRANSCRIPTS, channel);
+      }
+    } catch (error) {
+      logger.error('Failed to persist transcript', { channel, error: error.message });
+    }
+  }
+
+  /**
+   * Get transcript statistics
+   * @returns {Object} Transcript statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      channels: this.transcripts.size,
+      segments: Array.from(this.transcripts.values()).reduce((sum, transcript) => sum + transcript.segments.length, 0),
+      recorded: this.recorded
+    };
+  }
+}
+
+export default new TranscriptService();
@@ -0,0 +1,50 @@
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { PalabraProvider } from '../providers/palabraProvider.js';
+import { MockProvider } from '../providers/mockProvider.js';
+
+class TranslationProviderService {
+  constructor() {
+    // Provider name -> () => TranslationProvider
+    this.factories = new Map();
+    this.provider = null;
+
+    this.registerProvider('palabra', () => new PalabraProvider());
+    this.registerProvider('mock', () => new MockProvider());
+
+    this.useProvider(config.translation.provider);
+  }
+
+  /**
+   * Register a translation provider
+   * @param {string} name - Provider name (TRANSLATION_PROVIDER)
+   * @param {Function} factory - () => TranslationProvider
+   */
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  /**
+   * Switch to a registered provider
+   * @param {string} name - Provider name
+   */
+  useProvider(name) {
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown translation provider: ${name}`);
+    }
+
+    this.provider = factory();
+    logger.info('Using translation provider', { provider: name, configured: this.provider.isConfigured() });
+  }
+
+  /**
+   * The active provider
+   * @returns {TranslationProvider} Provider
+   */
+  getProvider() {
+    return this.provider;
+  }
+}
+
+export default new TranslationProviderService();
@@ -1,16 +1,31 @@
-import axios from 'axios';
 import { config } from '../config/index.js';
 import logger from '../utils/logger.js';
+import { LruCache } from '../utils/lruCache.js';
+import { protectTerms, restoreTerms } from '../utils/glossary.js';
+import translationProviderService from './translationProviderService.js';
+import glossaryService from './glossaryService.js';
 
 class TranslationService {
   constructor() {
-    this.apiKey = process.env.PALABRA_API_KEY;
-    this.apiUrl = process.env.PALABRA_API_URL || 'https://api.palabra.ai',//'https://api.palabra.com';
     this.defaultSourceLang = process.env.PALABRA_DEFAULT_SOURCE_LANG || 'en';
     this.defaultTargetLang = process.env.PALABRA_DEFAULT_TARGET_LANG || 'es';
+    this.cacheEnabled = config.translation.cache.enabled;
+    this.cache = new LruCache({
+      maxEntries: config.translation.cache.maxEntries,
+      ttl: config.translation.cache.ttl
+    });
+    this.languageRefreshInterval = config.translation.languageRefreshInterval;
+    this.supportedLanguages = [];
+    this.languagesFetchedAt = null;
+    this.languageRefreshTimer = null;
     
-    if (!this.apiKey) {
-      logger.warn('Palabra API key not configured. Translation service will be disabled.');
+    if (!this.isAvailable()) {
+      logger.warn('Translation provider not configured. Translation service will be disabled.', {
+        provider: translationProviderService.getProvider().name
+      });
+    } else {
+      // Start periodic supported-language refresh
+      this.startLanguageRefresh();
     }
   }
 
@@ -19,17 +34,20 @@ class TranslationService {
    * @returns {boolean} True if service is configured and available
    */
   isAvailable() {
-    return !!this.apiKey;
+    return translationProviderService.getProvider().isConfigured();
   }
 
   /**
-   * Translate text using Palabra API
+   * Translate text using the active translation provider
+   * Glossary terms for the tenant and channel are swapped for placeholders before the provider sees
+   * the text and replaced with their target terms afterwards; the cache holds the placeholder form.
    * @param {string} text - Text to translate
    * @param {string} sourceLanguage - Source language code
    * @param {string} targetLanguage - Target language code
+   * @param {Object} [context] - { tenant, channel } selecting the glossaries to apply
    * @returns {Promise<Object>} Translation result
    */
-  async translateText(text, sourceLanguage = null, targetLanguage = null) {
+  async translateText(text, sourceLanguage = null, targetLanguage = null, { tenant = null, channel = null } = {}) {
     try {
       if (!this.isAvailable()) {
         throw new Error('Translation service is not configured');
@@ -48,23 +66,40 @@ class TranslationService {
         targetLanguage: targetLang
       });
 
-      // TODO: Implement actual Palabra API call
-      // This is a placeholder implementation
-      const response = await this.callPalabraAPI(text, sourceLang, targetLang);
+      const glossary = protectTerms(text, glossaryService.getTerms({
+        tenant,
+        channel,
+        sourceLanguage: sourceLang,
+        targetLanguage: targetLang
+      }));
+
+      const cacheKey = JSON.stringify([glossary.text, sourceLang, targetLang]);
+      let response = this.cacheEnabled ? this.cache.get(cacheKey) : undefined;
+      const cached = Boolean(response);
+
+      if (!cached) {
+        response = await translationProviderService.getProvider().translateText(glossary.text, sourceLang, targetLang);
+        if (this.cacheEnabled) {
+          this.cache.set(cacheKey, response);
+        }
+      }
 
       logger.info('Translation completed', {
         sourceLanguage: sourceLang,
         targetLanguage: targetLang,
+        cached,
+        glossaryTerms: glossary.replacements.length,
         success: true
       });
 
       return {
         success: true,
         originalText: text,
-        translatedText: response.translatedText,
+        translatedText: restoreTerms(response.translatedText, glossary.replacements),
         sourceLanguage: sourceLang,
         targetLanguage: targetLang,
         confidence: response.confidence || 1.0,
+        cached,
         timestamp: new Date().toISOString()
       };
 
@@ -88,74 +123,116 @@ class TranslationService {
   }
 
   /**
-   * Call Palabra API (placeholder implementation)
+   * Translate text into several languages, once per distinct language
+   * Languages equal to the source get the original text back without a provider call.
    * @param {string} text - Text to translate
-   * @param {string} sourceLanguage - Source language
-   * @param {string} targetLanguage - Target language
-   * @returns {Promise<Object>} API response
+   * @param {string} sourceLanguage - Source language code
+   * @param {Array<string|null>} targetLanguages - Target language codes (null: default target)
+   * @param {Object} [context] - { tenant, channel } selecting the glossaries to apply
+   * @returns {Promise<Map<string|null, Object>>} Target language -> translateText result
    */
-  async callPalabraAPI(text, sourceLanguage, targetLanguage) {
-    // TODO: Replace with actual Palabra API implementation
-    // This is a mock implementation for development
-    
-    const mockResponse = {
-      translatedText: `[Translated from ${sourceLanguage} to ${targetLanguage}] ${text}`,
-      confidence: 0.95
-    };
-
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    return mockResponse;
-
-    // Actual implementation would look like:
-    /*
-    const response = await axios.post(`${this.apiUrl}/translate`, {
-      text,
-      source_language: sourceLanguage,
-      target_language: targetLanguage
-    }, {
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
+  async translateIntoLanguages(text, sourceLanguage, targetLanguages, context = {}) {
+    const sourceLang = sourceLanguage || this.defaultSourceLang;
+    const languages = Array.from(new Set(targetLanguages));
+
+    const results = await Promise.all(languages.map((language) => {
+      if ((language || this.defaultTargetLang) === sourceLang && typeof text === 'string' && text) {
+        return {
+          success: true,
+          originalText: text,
+          translatedText: text,
+          sourceLanguage: sourceLang,
+          targetLanguage: sourceLang,
+          confidence: 1.0,
+          cached: false,
+          timestamp: new Date().toISOString()
+        };
       }
-    });
+      return this.translateText(text, sourceLang, language, context);
+    }));
 
-    return response.data;
-    */
+    return new Map(languages.map((language, index) => [language, results[index]]));
   }
 
   /**
    * Get supported languages
+   * Served from the last refresh; fetched from the provider if there has been none yet.
    * @returns {Promise<Array>} List of supported languages
    */
   async getSupportedLanguages() {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    if (this.supportedLanguages.length === 0) {
+      await this.refreshSupportedLanguages();
+    }
+
+    return this.supportedLanguages;
+  }
+
+  /**
+   * Re-fetch the supported languages from the provider
+   * On failure the previous list is kept.
+   * @returns {Promise<boolean>} True if the list was refreshed
+   */
+  async refreshSupportedLanguages() {
     try {
-      if (!this.isAvailable()) {
-        return [];
-      }
+      const languages = await translationProviderService.getProvider().getSupportedLanguages();
+      this.supportedLanguages = languages;
+      this.languagesFetchedAt = Date.now();
 
-      // TODO: Implement actual Palabra API call for supported languages
-      // This is a mock response
-      return [
-        { code: 'en', name: 'English' },
-        { code: 'es', name: 'Spanish' },
-        { code: 'fr', name: 'French' },
-        { code: 'de', name: 'German' },
-        { code: 'it', name: 'Italian' },
-        { code: 'pt', name: 'Portuguese' },
-        { code: 'ru', name: 'Russian' },
-        { code: 'ja', name: 'Japanese' },
-        { code: 'ko', name: 'Korean' },
-        { code: 'zh', name: 'Chinese' }
-      ];
+      logger.info('Refreshed supported languages', { count: languages.length });
+      return true;
 
     } catch (error) {
-      logger.error('Failed to get supported languages', { error: error.message });
-      return [];
+      logger.error('Failed to get supported languages', {
+        error: error.message,
+        keeping: this.supportedLanguages.length
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Start periodic supported-language refresh
+   */
+  startLanguageRefresh() {
+    this.languageRefreshTimer = setInterval(() => {
+      this.refreshSupportedLanguages();
+    }, this.languageRefreshInterval);
+
+    logger.info('Started supported language refresh', { interval: this.languageRefreshInterval });
+  }
+
+  /**
+   * Stop periodic supported-language refresh
+   */
+  stopLanguageRefresh() {
+    if (this.languageRefreshTimer) {
+      clearInterval(this.languageRefreshTimer);
+      this.languageRefreshTimer = null;
+      logger.info('Stopped supported language refresh');
     }
   }
 
+  /**
+   * Get service statistics
+   * @returns {Object} Service statistics
+   */
+  getStats() {
+    return {
+      isConfigured: this.isAvailable(),
+      provider: translationProviderService.getProvider().name,
+      cache: {
+        enabled: this.cacheEnabled,
+        ...this.cache.getStats()
+      },
+      supportedLanguages: this.supportedLanguages.length,
+      languagesFetchedAt: this.languagesFetchedAt ? new Date(this.languagesFetchedAt).toISOString() : null
+    };
+  }
+
   /**
    * Validate language code
    * @param {string} languageCode - Language code to validate
@@ -0,0 +1,372 @@
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { namedError } from '../utils/errors.js';
+
+/**
+ * UID kinds handed out by the allocator
+ */
+export const UID_KINDS = {
+  USER: 'user',
+  BOT: 'bot'
+};
+
+class UidAllocatorService {
+  constructor() {
+    this.userRange = {
+      start: config.uid.userRangeStart,
+      end: config.uid.userRangeEnd
+    };
+    this.botRange = {
+      start: config.uid.botRangeStart,
+      end: config.uid.botRangeEnd
+    };
+    this.maxAttempts = config.uid.maxAllocationAttempts;
+    // channel -> Map<uid, { kind, owner, identity, allocatedAt, expiresAt }>
+    this.channels = new Map();
+    // channel -> Map<account, { owner, identity, allocatedAt, expiresAt }> for string user accounts
+    this.accounts = new Map();
+
+    if (this.rangesOverlap()) {
+      logger.warn('User and bot UID ranges overlap; bot UIDs may collide with participants', {
+        userRange: this.userRange,
+        botRange: this.botRange
+      });
+    }
+  }
+
+  /**
+   * Check whether the configured user and bot ranges overlap
+   * @returns {boolean} True if ranges overlap
+   */
+  rangesOverlap() {
+    return this.userRange.start <= this.botRange.end && this.botRange.start <= this.userRange.end;
+  }
+
+  /**
+   * Check whether a UID falls inside the reserved bot band
+   * @param {number} uid - Agora UID
+   * @returns {boolean} True if reserved for bots
+   */
+  isReservedUid(uid) {
+    return uid >= this.botRange.start && uid <= this.botRange.end;
+  }
+
+  /**
+   * Allocate a unique UID in a channel
+   * @param {string} channel - Channel name
+   * @param {Object} [options]
+   * @param {number} [options.preferredUid] - UID requested by the caller
+   * @param {string} [options.kind] - 'user' or 'bot'
+   * @param {string} [options.owner] - Owner identifier (socket id, task key, ...)
+   * @param {string} [options.identity] - Authenticated identity ID of the requester
+   * @param {number} [options.expiresAt] - Unix seconds after which the UID is freed automatically
+   * @returns {number} Allocated UID
+   */
+  allocate(channel, { preferredUid = null, kind = UID_KINDS.USER, owner = null, identity = null, expiresAt = null } = {}) {
+    if (!channel || typeof channel !== 'string') {
+      throw new Error('Channel name is required to allocate a UID');
+    }
+
+    if (!Object.values(UID_KINDS).includes(kind)) {
+      throw new Error(`Unsupported UID kind: ${kind}`);
+    }
+
+    this.releaseExpired(channel);
+
+    if (preferredUid !== null && preferredUid !== undefined) {
+      return this.claim(channel, preferredUid, { kind, owner, identity, expiresAt });
+    }
+
+    const range = kind === UID_KINDS.BOT ? this.botRange : this.userRange;
+    const uids = this.channels.get(channel) || new Map();
+
+    for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+      const candidate = range.start + Math.floor(Math.random() * (range.end - range.start + 1));
+      if (!uids.has(candidate) && (kind === UID_KINDS.BOT || !this.isReservedUid(candidate))) {
+        this.record(channel, candidate, { kind, owner, identity, expiresAt });
+        return candidate;
+      }
+    }
+
+    // Random probing failed (dense channel), fall back to a linear scan
+    for (let candidate = range.start; candidate <= range.end; candidate++) {
+      if (!uids.has(candidate) && (kind === UID_KINDS.BOT || !this.isReservedUid(candidate))) {
+        this.record(channel, candidate, { kind, owner, identity, expiresAt });
+        return candidate;
+      }
+    }
+
+    throw new Error(`No free ${kind} UIDs left in channel ${channel}`);
+  }
+
+  /**
+   * Check whether a claim comes from the holder of an allocation
+   * The same owner (socket, task) always matches and a different owner never does; otherwise the
+   * authenticated identity decides. An allocation held by an owner is not handed to a requester
+   * without one (e.g. an anonymous HTTP request for a socket's UID); one without owner or identity
+   * (anonymous HTTP) can be renewed or adopted by anyone.
+   * @param {Object} entry - Allocation
+   * @param {Object} requester - { owner, identity }
+   * @returns {boolean} True if the requester holds the UID
+   */
+  isHeldBy(entry, { owner = null, identity = null } = {}) {
+    if (entry.owner && owner) {
+      return entry.owner === owner;
+    }
+    if (entry.identity || identity) {
+      return entry.identity === identity;
+    }
+    return !entry.owner;
+  }
+
+  /**
+   * Claim a specific UID in a channel
+   * Re-claiming a UID its holder already has (see isHeldBy) refreshes it.
+   * @param {string} channel - Channel name
+   * @param {number} uid - UID to claim
+   * @param {Object} [options] - { kind, owner, identity, expiresAt }
+   * @returns {number} Claimed UID
+   */
+  claim(channel, uid, { kind = UID_KINDS.USER, owner = null, identity = null, expiresAt = null } = {}) {
+    if (!Number.isInteger(uid) || uid < 0) {
+      throw namedError('ValidationError', 'UID must be a positive integer');
+    }
+
+    if (kind === UID_KINDS.USER && this.isReservedUid(uid)) {
+      throw namedError('ValidationError', `UID ${uid} is reserved for translation bots`);
+    }
+
+    const existing = this.channels.get(channel)?.get(uid);
+    if (existing && !this.isHeldBy(existing, { owner, identity })) {
+      throw namedError('ConflictError', `UID ${uid} is already in use in channel ${channel}`);
+    }
+
+    this.record(channel, uid, {
+      kind,
+      owner: owner || existing?.owner || null,
+      identity: identity || existing?.identity || null,
+      expiresAt
+    });
+    return uid;
+  }
+
+  /**
+   * Claim a string user account in a channel
+   * Accounts need no numeric UID but are participants all the same; they follow the UID rules for holders.
+   * @param {string} channel - Channel name
+   * @param {string} account - User account
+   * @param {Object} [options] - { owner, identity, expiresAt }
+   * @returns {string} Claimed account
+   */
+  claimAccount(channel, account, { owner = null, identity = null, expiresAt = null } = {}) {
+    if (!this.accounts.has(channel)) {
+      this.accounts.set(channel, new Map());
+    }
+
+    const accounts = this.accounts.get(channel);
+    const existing = accounts.get(account);
+    if (existing && !this.isHeldBy(existing, { owner, identity })) {
+      throw namedError('ConflictError', `Account ${account} is already in use in channel ${channel}`);
+    }
+
+    accounts.set(account, {
+      owner: owner || existing?.owner || null,
+      identity: identity || existing?.identity || null,
+      allocatedAt: Date.now(),
+      expiresAt
+    });
+    logger.debug('Allocated account', { channel, account, owner });
+    return account;
+  }
+
+  /**
+   * Check whether a requester already holds a UID or account in a channel (i.e. is renewing)
+   * @param {string} channel - Channel name
+   * @param {Object} participant - { uid, account }
+   * @param {Object} requester - { owner, identity } as for isHeldBy
+   * @returns {boolean} True if the UID or account is allocated to the requester
+   */
+  holds(channel, { uid = null, account = null }, requester) {
+    const entry = account
+      ? this.accounts.get(channel)?.get(account)
+      : this.channels.get(channel)?.get(uid);
+    return Boolean(entry) && this.isHeldBy(entry, requester);
+  }
+
+  /**
+   * Release a UID in a channel
+   * @param {string} channel - Channel name
+   * @param {number} uid - UID to release
+   * @returns {boolean} True if the UID was allocated
+   */
+  release(channel, uid) {
+    const uids = this.channels.get(channel);
+    if (!uids || !uids.delete(uid)) {
+      return false;
+    }
+
+    if (uids.size === 0) {
+      this.channels.delete(channel);
+    }
+
+    logger.debug('Released UID', { channel, uid });
+    return true;
+  }
+
+  /**
+   * Release every UID held by an owner
+   * @param {string} owner - Owner identifier
+   * @param {string} [channel] - Limit to a single channel
+   * @returns {number} Number of UIDs released
+   */
+  releaseOwner(owner, channel = null) {
+    if (!owner) {
+      return 0;
+    }
+
+    const channels = channel ? [channel] : Array.from(this.channels.keys());
+    let released = 0;
+
+    for (const name of channels) {
+      const uids = this.channels.get(name);
+      if (!uids) {
+        continue;
+      }
+
+      for (const [uid, entry] of uids.entries()) {
+        if (entry.owner === owner && this.release(name, uid)) {
+          released++;
+        }
+      }
+    }
+
+    for (const name of channel ? [channel] : Array.from(this.accounts.keys())) {
+      released += this.releaseAccounts(name, entry => entry.owner === owner);
+    }
+
+    if (released > 0) {
+      logger.debug('Released UIDs for owner', { owner, channel, count: released });
+    }
+
+    return released;
+  }
+
+  /**
+   * Drop allocations whose token lifetime has passed
+   * @param {string} [channel] - Limit to a single channel
+   */
+  releaseExpired(channel = null) {
+    const nowTs = Math.floor(Date.now() / 1000);
+    const channels = channel ? [channel] : Array.from(this.channels.keys());
+
+    for (const name of channels) {
+      const uids = this.channels.get(name);
+      if (!uids) {
+        continue;
+      }
+
+      for (const [uid, entry] of uids.entries()) {
+        if (entry.expiresAt && entry.expiresAt <= nowTs) {
+          this.release(name, uid);
+        }
+      }
+    }
+
+    for (const name of channel ? [channel] : Array.from(this.accounts.keys())) {
+      this.releaseAccounts(name, entry => entry.expiresAt && entry.expiresAt <= nowTs);
+    }
+  }
+
+  // Drop a channel's accounts matching a predicate; returns how many were dropped
+  releaseAccounts(channel, predicate) {
+    const accounts = this.accounts.get(channel);
+    if (!accounts) {
+      return 0;
+    }
+
+    let released = 0;
+    for (const [account, entry] of accounts.entries()) {
+      if (predicate(entry)) {
+        accounts.delete(account);
+        released++;
+      }
+    }
+    if (accounts.size === 0) {
+      this.accounts.delete(channel);
+    }
+    return released;
+  }
+
+  /**
+   * Check whether a UID is in use in a channel
+   * @param {string} channel - Channel name
+   * @param {number} uid - UID
+   * @returns {boolean} True if allocated
+   */
+  isInUse(channel, uid) {
+    return Boolean(this.channels.get(channel)?.has(uid));
+  }
+
+  /**
+   * List allocations for a channel
+   * @param {string} channel - Channel name
+   * @returns {Array} Allocated UIDs with their metadata
+   */
+  getChannelUids(channel) {
+    this.releaseExpired(channel);
+    const uids = this.channels.get(channel);
+    if (!uids) {
+      return [];
+    }
+
+    return Array.from(uids.entries()).map(([uid, entry]) => ({ uid, ...entry }));
+  }
+
+  /**
+   * List string accounts allocated in a channel
+   * @param {string} channel - Channel name
+   * @returns {Array} Accounts with their metadata
+   */
+  getChannelAccounts(channel) {
+    this.releaseExpired(channel);
+    return Array.from(this.accounts.get(channel)?.entries() || []).map(([account, entry]) => ({ account, ...entry }));
+  }
+
+  /**
+   * Get allocator statistics
+   * @returns {Object} Allocator statistics
+   */
+  getStats() {
+    let allocated = 0;
+    for (const uids of this.channels.values()) {
+      allocated += uids.size;
+    }
+
+    return {
+      channels: this.channels.size,
+      allocated,
+      userRange: this.userRange,
+      botRange: this.botRange
+    };
+  }
+
+  getChannelMap(channel) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Map());
+    }
+    return this.channels.get(channel);
+  }
+
+  record(channel, uid, { kind, owner, identity = null, expiresAt }) {
+    this.getChannelMap(channel).set(uid, {
+      kind,
+      owner,
+      identity,
+      allocatedAt: Date.now(),
+      expiresAt
+    });
+    logger.debug('Allocated UID', { channel, uid, kind, owner });
+  }
+}
+
+export default new UidAllocatorService();
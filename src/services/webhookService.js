@@ -0,0 +1,708 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { isNonPublicAddress } from '../utils/networkAddress.js';
+import persistenceService, { COLLECTIONS } from './persistenceService.js';
+import palabraAgoraService from './palabraAgoraService.js';
+import channelPresenceService from './channelPresenceService.js';
+import channelPolicyService from './channelPolicyService.js';
+import { namedError } from '../utils/errors.js';
+
+/**
+ * Event types that can be subscribed to (`*` subscribes to all)
+ */
+export const WEBHOOK_EVENTS = {
+  TRANSLATION_STARTED: 'translation.started',
+  TRANSLATION_STOPPED: 'translation.stopped',
+  TRANSLATION_FAILED: 'translation.failed',
+  TRANSLATION_LANGUAGES_CHANGED: 'translation.languages_changed',
+  CHANNEL_MEMBER_JOINED: 'channel.member_joined',
+  CHANNEL_MEMBER_LEFT: 'channel.member_left'
+};
+
+const ALL_EVENTS = '*';
+const MIN_SECRET_LENGTH = 16;
+
+// Host of a URL without the brackets around IPv6 literals
+const getHost = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * dns.lookup that fails for hosts resolving to non-public addresses, so a delivery cannot be
+ * pointed at internal services by changing DNS after the subscription was checked
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isNonPublicAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to a non-public address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Delivery error as shown to tenants: the receiver's HTTP status, without network details
+ * (refused connections, resolved addresses) that would describe our network
+ * @param {Error} error - Axios error
+ * @returns {string} Error summary
+ */
+const describeDeliveryError = (error) => {
+  if (error.response) {
+    return `Receiver answered with HTTP ${error.response.status}`;
+  }
+  return error.code === 'ECONNABORTED' ? 'Receiver did not answer in time' : 'Receiver could not be reached';
+};
+
+/**
+ * Posts lifecycle events to subscribed URLs
+ * Each request carries `X-Webhook-Timestamp` (unix seconds) and `X-Webhook-Signature: sha256=<hex>`,
+ * the HMAC-SHA256 of `<timestamp>.<raw body>` with the subscription's secret. Failed deliveries are
+ * retried with exponential backoff and end up in the dead-letter list, from which they can be replayed.
+ */
+class WebhookService {
+  constructor() {
+    this.timeout = config.webhooks.delivery.timeout;
+    this.maxAttempts = config.webhooks.delivery.maxAttempts;
+    this.retryBaseDelay = config.webhooks.delivery.retryBaseDelay;
+    this.retryMaxDelay = config.webhooks.delivery.retryMaxDelay;
+    this.maxDeadLetters = config.webhooks.delivery.maxDeadLetters;
+    this.allowPrivateTargets = config.webhooks.delivery.allowPrivateTargets;
+    const lookup = this.allowPrivateTargets ? undefined : publicOnlyLookup;
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+    this.subscriptions = new Map(); // subscription ID -> subscription
+    this.deadLetters = new Map(); // delivery ID -> dead letter, oldest first
+    this.retries = new Map(); // delivery ID -> { delivery, timer } waiting for their next attempt
+    this.inFlight = new Set(); // attempt promises
+    this.stopped = false;
+    this.stats = { published: 0, delivered: 0, failedAttempts: 0 };
+
+    for (const record of persistenceService.list(COLLECTIONS.WEBHOOK_SUBSCRIPTIONS)) {
+      this.subscriptions.set(record.id, this.restoreSubscription(record));
+    }
+    for (const deadLetter of persistenceService.list(COLLECTIONS.WEBHOOK_DEAD_LETTERS)
+      .sort((a, b) => a.failedAt.localeCompare(b.failedAt))) {
+      this.deadLetters.set(deadLetter.id, deadLetter);
+    }
+
+    this.listen();
+  }
+
+  /**
+   * Publish service events as webhook events (without tokens or other credentials)
+   */
+  listen() {
+    palabraAgoraService.on('task_started', ({ channel, speakerUid, sourceLanguage, task, startedBy }) => {
+      this.publish(WEBHOOK_EVENTS.TRANSLATION_STARTED, {
+        channel,
+        speakerUid,
+        sourceLanguage,
+        targetLanguages: task.targetLanguages,
+        taskIds: task.taskIds,
+        startedBy
+      });
+    });
+
+    palabraAgoraService.on('task_stopped', ({ channel, speakerUid, stoppedBy }) => {
+      this.publish(WEBHOOK_EVENTS.TRANSLATION_STOPPED, { channel, speakerUid, stoppedBy });
+    });
+
+    palabraAgoraService.on('task_failed', ({ channel, speakerUid, taskId, status, targetLanguages, restarted, newTaskId, task, source }) => {
+      this.publish(WEBHOOK_EVENTS.TRANSLATION_FAILED, {
+        channel,
+        speakerUid,
+        taskId,
+        status,
+        targetLanguages,
+        restarted,
+        newTaskId,
+        stopped: !task,
+        source
+      });
+    });
+
+    palabraAgoraService.on('task_languages_changed', ({ channel, speakerUid, added, removed, task }) => {
+      this.publish(WEBHOOK_EVENTS.TRANSLATION_LANGUAGES_CHANGED, {
+        channel,
+        speakerUid,
+        added,
+        removed,
+        targetLanguages: task?.targetLanguages || [],
+        stopped: !task
+      });
+    });
+
+    channelPresenceService.on('member_joined', ({ channel, socketId, uid, language, members }) => {
+      this.publish(WEBHOOK_EVENTS.CHANNEL_MEMBER_JOINED, { channel, uid, socketId, language, members });
+    });
+
+    channelPresenceService.on('member_left', ({ channel, socketId, uid, reason, members }) => {
+      this.publish(WEBHOOK_EVENTS.CHANNEL_MEMBER_LEFT, { channel, uid, socketId, reason, members });
+    });
+  }
+
+  /**
+   * Validate subscription fields
+   * @param {Object} input - { url, events, secret, description, active }
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  validateSubscription({ url, events, secret, description, active } = {}) {
+    const errors = [];
+
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      // reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push('A valid http(s) URL is required');
+    }
+
+    const known = [ALL_EVENTS, ...Object.values(WEBHOOK_EVENTS)];
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push('Events must be a non-empty array of event types');
+    } else if (!events.every(event => known.includes(event))) {
+      errors.push(`Events must be among: ${known.join(', ')}`);
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+      errors.push(`Secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      errors.push('Description must be a string');
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      errors.push('Active must be a boolean');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Refuse URLs whose host is, or resolves to, a loopback, private or link-local address
+   * (unless WEBHOOK_ALLOW_PRIVATE_TARGETS is set)
+   * @param {string} url - Validated subscription URL
+   * @returns {Promise<void>}
+   */
+  async checkTarget(url) {
+    if (this.allowPrivateTargets) {
+      return;
+    }
+
+    const host = getHost(url);
+    let addresses;
+    if (net.isIP(host)) {
+      addresses = [host];
+    } else {
+      try {
+        addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+      } catch (error) {
+        throw namedError('ValidationError', `Webhook URL host ${host} could not be resolved`);
+      }
+    }
+
+    if (addresses.some(isNonPublicAddress)) {
+      throw namedError('ValidationError', 'Webhook URL must point to a public address');
+    }
+  }
+
+  /**
+   * Create a subscription
+   * Without a secret one is generated; the secret is only returned here.
+   * @param {Object} input - { url, events, secret, description, active }
+   * @param {string|null} tenant - Owning tenant (the caller's)
+   * @returns {Promise<Object>} Created subscription, with its secret
+   */
+  async createSubscription(input, tenant) {
+    const validation = this.validateSubscription(input);
+    if (!validation.isValid) {
+      throw namedError('ValidationError', validation.errors.join('; '));
+    }
+    await this.checkTarget(input.url);
+
+    const now = new Date().toISOString();
+    const subscription = {
+      id: crypto.randomUUID(),
+      tenant: tenant || null,
+      ...this.pickFields(input),
+      secret: input.secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    this.persistSubscription(subscription.id);
+
+    logger.info('Webhook subscription created', {
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      events: subscription.events,
+      tenant: subscription.tenant
+    });
+    return subscription;
+  }
+
+  /**
+   * Replace a subscription's URL, events, description and state (and secret, if given)
+   * @param {string} id - Subscription ID
+   * @param {Object} input - { url, events, secret, description, active }
+   * @param {string|null} tenant - Caller's tenant
+   * @returns {Promise<Object>} Updated subscription, without its secret
+   */
+  async updateSubscription(id, input, tenant) {
+    const existing = this.getOwnSubscription(id, tenant);
+
+    const validation = this.validateSubscription(input);
+    if (!validation.isValid) {
+      throw namedError('ValidationError', validation.errors.join('; '));
+    }
+    await this.checkTarget(input.url);
+
+    const subscription = {
+      ...existing,
+      ...this.pickFields(input),
+      secret: input.secret || existing.secret,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.subscriptions.set(id, subscription);
+    this.persistSubscription(id);
+
+    logger.info('Webhook subscription updated', { subscriptionId: id, events: subscription.events });
+    return this.describeSubscription(subscription);
+  }
+
+  /**
+   * Delete a subscription and cancel its pending retries
+   * Its dead letters are kept until deleted or replayed (a replay then finds no subscription).
+   * @param {string} id - Subscription ID
+   * @param {string|null} tenant - Caller's tenant
+   */
+  deleteSubscription(id, tenant) {
+    this.getOwnSubscription(id, tenant);
+    this.subscriptions.delete(id);
+    this.persistSubscription(id);
+
+    for (const [deliveryId, retry] of this.retries) {
+      if (retry.delivery.subscriptionId === id) {
+        clearTimeout(retry.timer);
+        this.retries.delete(deliveryId);
+      }
+    }
+    logger.info('Webhook subscription deleted', { subscriptionId: id });
+  }
+
+  /**
+   * Get a subscription, without its secret
+   * @param {string} id - Subscription ID
+   * @param {string|null} tenant - Caller's tenant
+   * @returns {Object} Subscription
+   */
+  getSubscription(id, tenant) {
+    return this.describeSubscription(this.getOwnSubscription(id, tenant));
+  }
+
+  /**
+   * List a tenant's subscriptions, without their secrets
+   * @param {string|null} tenant - Caller's tenant
+   * @returns {Array<Object>} Subscriptions
+   */
+  listSubscriptions(tenant) {
+    return Array.from(this.subscriptions.values())
+      .filter(subscription => subscription.tenant === (tenant || null))
+      .map(subscription => this.describeSubscription(subscription));
+  }
+
+  // Subscription owned by a tenant; other tenants' subscriptions are reported as missing
+  getOwnSubscription(id, tenant) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription || subscription.tenant !== (tenant || null)) {
+      throw namedError('NotFoundError', `Webhook subscription ${id} not found`);
+    }
+    return subscription;
+  }
+
+  // Subscription as listed by the API: everything but the secret
+  describeSubscription({ secret, ...subscription }) {
+    return subscription;
+  }
+
+  // Mutable subscription fields from client input
+  pickFields({ url, events, description, active }) {
+    return {
+      url,
+      events: [...new Set(events)],
+      description: description || null,
+      active: active !== false
+    };
+  }
+
+  /**
+   * Whether a subscription wants an event
+   * Tenants limited to channel prefixes (CHANNEL_TENANT_PREFIXES) only get events of their channels; with
+   * auth enabled, subscriptions without a tenant only get events of channels no tenant's prefix matches.
+   * @param {Object} subscription - Subscription
+   * @param {Object} event - Event
+   * @returns {boolean} True if the event should be delivered
+   */
+  matches(subscription, event) {
+    if (!subscription.active) {
+      return false;
+    }
+    if (!subscription.events.includes(ALL_EVENTS) && !subscription.events.includes(event.type)) {
+      return false;
+    }
+    if (!event.data.channel) {
+      return true;
+    }
+    if (!subscription.tenant) {
+      return !config.auth.enabled || !channelPolicyService.isTenantChannel(event.data.channel);
+    }
+    return channelPolicyService.checkTenantPrefix({ identity: { tenant: subscription.tenant }, channel: event.data.channel }) === null;
+  }
+
+  /**
+   * Deliver an event to every subscription that wants it
+   * @param {string} type - WEBHOOK_EVENTS value
+   * @param {Object} data - Event payload
+   * @returns {Object} The event
+   */
+  publish(type, data) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    for (const subscription of this.subscriptions.values()) {
+      if (this.matches(subscription, event)) {
+        this.stats.published++;
+        this.attempt({ id: crypto.randomUUID(), subscriptionId: subscription.id, event, attempts: 0 });
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Signature headers for a request body
+   * @param {string} secret - Subscription secret
+   * @param {string} body - Serialised event
+   * @returns {Object} { timestamp, signature }
+   */
+  sign(secret, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return { timestamp, signature: `sha256=${signature}` };
+  }
+
+  /**
+   * Make one delivery attempt; schedule a retry or dead-letter the delivery if it fails
+   * @param {Object} delivery - { id, subscriptionId, event, attempts }
+   * @returns {Promise<boolean>} True if delivered
+   */
+  attempt(delivery) {
+    const run = this.send(delivery).finally(() => this.inFlight.delete(run));
+    this.inFlight.add(run);
+    return run;
+  }
+
+  async send(delivery) {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      logger.warn('Dropped webhook delivery for a deleted subscription', {
+        deliveryId: delivery.id,
+        subscriptionId: delivery.subscriptionId
+      });
+      return false;
+    }
+
+    delivery.attempts++;
+    const body = JSON.stringify(delivery.event);
+    const { timestamp, signature } = this.sign(subscription.secret, body);
+
+    try {
+      // Literal IPs skip the agents' lookup, so they are checked here
+      const host = getHost(subscription.url);
+      if (!this.allowPrivateTargets && net.isIP(host) && isNonPublicAddress(host)) {
+        throw new Error(`${host} is not a public address`);
+      }
+
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.event.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signature
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        proxy: false,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent
+      });
+
+      this.stats.delivered++;
+      logger.debug('Webhook delivered', {
+        deliveryId: delivery.id,
+        subscriptionId: subscription.id,
+        type: delivery.event.type,
+        attempts: delivery.attempts,
+        status: response.status
+      });
+      return true;
+
+    } catch (error) {
+      this.stats.failedAttempts++;
+      // Tenants see the summary; the network error itself only goes to our logs
+      delivery.lastError = describeDeliveryError(error);
+      delivery.lastStatus = error.response?.status || null;
+      logger.debug('Webhook delivery attempt failed', {
+        deliveryId: delivery.id,
+        subscriptionId: subscription.id,
+        error: error.message
+      });
+
+      if (delivery.attempts >= this.maxAttempts || this.stopped) {
+        this.addDeadLetter(delivery, subscription);
+      } else {
+        this.scheduleRetry(delivery);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Retry a failed delivery after an exponential backoff
+   * @param {Object} delivery - Failed delivery
+   */
+  scheduleRetry(delivery) {
+    const delay = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** (delivery.attempts - 1));
+    const timer = setTimeout(() => {
+      this.retries.delete(delivery.id);
+      this.attempt(delivery);
+    }, delay);
+    this.retries.set(delivery.id, { delivery, timer });
+
+    logger.warn('Webhook delivery failed; retrying', {
+      deliveryId: delivery.id,
+      subscriptionId: delivery.subscriptionId,
+      type: delivery.event.type,
+      attempts: delivery.attempts,
+      status: delivery.lastStatus,
+      error: delivery.lastError,
+      retryIn: delay
+    });
+  }
+
+  /**
+   * Keep a delivery that ran out of attempts for inspection and replay
+   * The oldest dead letters are dropped beyond WEBHOOK_MAX_DEAD_LETTERS.
+   * @param {Object} delivery - Failed delivery
+   * @param {Object} subscription - Its subscription
+   */
+  addDeadLetter(delivery, subscription) {
+    const deadLetter = {
+      id: delivery.id,
+      subscriptionId: subscription.id,
+      tenant: subscription.tenant,
+      url: subscription.url,
+      event: delivery.event,
+      attempts: delivery.attempts,
+      lastError: delivery.lastError,
+      lastStatus: delivery.lastStatus,
+      failedAt: new Date().toISOString()
+    };
+
+    this.deadLetters.set(deadLetter.id, deadLetter);
+    this.persistDeadLetter(deadLetter.id);
+    while (this.deadLetters.size > this.maxDeadLetters) {
+      const oldest = this.deadLetters.keys().next().value;
+      this.deadLetters.delete(oldest);
+      this.persistDeadLetter(oldest);
+    }
+
+    logger.error('Webhook delivery failed permanently', {
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      type: delivery.event.type,
+      attempts: delivery.attempts,
+      status: delivery.lastStatus,
+      error: delivery.lastError
+    });
+  }
+
+  /**
+   * List a tenant's dead letters
+   * @param {string|null} tenant - Caller's tenant
+   * @param {Object} [filters] - { subscriptionId }
+   * @returns {Array<Object>} Dead letters, oldest first
+   */
+  listDeadLetters(tenant, { subscriptionId } = {}) {
+    return Array.from(this.deadLetters.values()).filter(deadLetter => (
+      deadLetter.tenant === (tenant || null) &&
+      (!subscriptionId || deadLetter.subscriptionId === subscriptionId)
+    ));
+  }
+
+  // Dead letter owned by a tenant; other tenants' dead letters are reported as missing
+  getOwnDeadLetter(id, tenant) {
+    const deadLetter = this.deadLetters.get(id);
+    if (!deadLetter || deadLetter.tenant !== (tenant || null)) {
+      throw namedError('NotFoundError', `Dead letter ${id} not found`);
+    }
+    return deadLetter;
+  }
+
+  /**
+   * Deliver a dead letter again, with a fresh set of attempts
+   * The event keeps its ID so receivers can tell it apart from a new one.
+   * @param {string} id - Dead letter (delivery) ID
+   * @param {string|null} tenant - Caller's tenant
+   * @returns {Object} { id, deliveryId, subscriptionId } of the new delivery
+   */
+  replayDeadLetter(id, tenant) {
+    const deadLetter = this.getOwnDeadLetter(id, tenant);
+    if (!this.subscriptions.has(deadLetter.subscriptionId)) {
+      throw namedError('NotFoundError', `Webhook subscription ${deadLetter.subscriptionId} no longer exists`);
+    }
+
+    this.deadLetters.delete(id);
+    this.persistDeadLetter(id);
+
+    const delivery = { id: crypto.randomUUID(), subscriptionId: deadLetter.subscriptionId, event: deadLetter.event, attempts: 0 };
+    this.attempt(delivery);
+
+    logger.info('Replaying webhook delivery', { deadLetterId: id, deliveryId: delivery.id, type: delivery.event.type });
+    return { id, deliveryId: delivery.id, subscriptionId: delivery.subscriptionId };
+  }
+
+  /**
+   * Replay every dead letter of a tenant (whose subscription still exists)
+   * @param {string|null} tenant - Caller's tenant
+   * @param {Object} [filters] - { subscriptionId }
+   * @returns {Array<Object>} One entry per replayed dead letter (see replayDeadLetter)
+   */
+  replayDeadLetters(tenant, filters = {}) {
+    return this.listDeadLetters(tenant, filters)
+      .filter(deadLetter => this.subscriptions.has(deadLetter.subscriptionId))
+      .map(deadLetter => this.replayDeadLetter(deadLetter.id, tenant));
+  }
+
+  /**
+   * Delete a dead letter
+   * @param {string} id - Dead letter ID
+   * @param {string|null} tenant - Caller's tenant
+   */
+  deleteDeadLetter(id, tenant) {
+    this.getOwnDeadLetter(id, tenant);
+    this.deadLetters.delete(id);
+    this.persistDeadLetter(id);
+  }
+
+  /**
+   * Stop retrying: wait for attempts in flight and dead-letter deliveries waiting for a retry,
+   * so they can be replayed after a restart (with PERSISTENCE_DRIVER=file)
+   */
+  async stopDeliveries() {
+    this.stopped = true;
+    await Promise.allSettled(Array.from(this.inFlight));
+
+    for (const [deliveryId, { delivery, timer }] of this.retries) {
+      clearTimeout(timer);
+      this.retries.delete(deliveryId);
+      const subscription = this.subscriptions.get(delivery.subscriptionId);
+      if (subscription) {
+        this.addDeadLetter(delivery, subscription);
+      }
+    }
+    logger.info('Stopped webhook deliveries', { deadLetters: this.deadLetters.size });
+  }
+
+  /**
+   * Rebuild a subscription from its persisted record
+   * A secret that cannot be decrypted (no or another PERSISTENCE_SECRET_KEY) is replaced by a random one and
+   * the subscription deactivated until its owner sets a secret again.
+   * @param {Object} record - Persisted subscription
+   * @returns {Object} Subscription
+   */
+  restoreSubscription(record) {
+    const secret = persistenceService.openSecret(record.secret);
+    if (secret) {
+      return { ...record, secret };
+    }
+
+    logger.warn('Deactivating webhook subscription whose secret could not be restored', { subscriptionId: record.id });
+    return { ...record, secret: crypto.randomBytes(32).toString('hex'), active: false };
+  }
+
+  /**
+   * Mirror a subscription (or its removal) to the persistence layer
+   * The secret is only written encrypted (see PERSISTENCE_SECRET_KEY).
+   * @param {string} id - Subscription ID
+   */
+  persistSubscription(id) {
+    try {
+      const subscription = this.subscriptions.get(id);
+      if (subscription) {
+        const secret = persistenceService.sealSecret(subscription.secret);
+        if (!secret && persistenceService.isDurable()) {
+          logger.warn('Webhook secret not persisted; set PERSISTENCE_SECRET_KEY to keep it across restarts', { subscriptionId: id });
+        }
+        persistenceService.save(COLLECTIONS.WEBHOOK_SUBSCRIPTIONS, id, { ...subscription, secret });
+      } else {
+        persistenceService.remove(COLLECTIONS.WEBHOOK_SUBSCRIPTIONS, id);
+      }
+    } catch (error) {
+      logger.error('Failed to persist webhook subscription', { subscriptionId: id, error: error.message });
+    }
+  }
+
+  /**
+   * Mirror a dead letter (or its removal) to the persistence layer
+   * @param {string} id - Dead letter ID
+   */
+  persistDeadLetter(id) {
+    try {
+      const deadLetter = this.deadLetters.get(id);
+      if (deadLetter) {
+        persistenceService.save(COLLECTIONS.WEBHOOK_DEAD_LETTERS, id, deadLetter);
+      } else {
+        persistenceService.remove(COLLECTIONS.WEBHOOK_DEAD_LETTERS, id);
+      }
+    } catch (error) {
+      logger.error('Failed to persist webhook dead letter', { deadLetterId: id, error: error.message });
+    }
+  }
+
+  /**
+   * Get delivery statistics
+   * @returns {Object} Delivery statistics
+   */
+  getStats() {
+    return {
+      subscriptions: this.subscriptions.size,
+      pendingRetries: this.retries.size,
+      deadLetters: this.deadLetters.size,
+      ...this.stats
+    };
+  }
+}
+
+export default new WebhookService();
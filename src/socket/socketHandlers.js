@@ -1,34 +1,115 @@
 import translationService from '../services/translationService.js';
 import palabraSessionService from '../services/palabraSessionService.js';
 import logger from '../utils/logger.js';
-import tokenService from '../services/tokenService.js';
+import { isValidLanguageCode, normalizeTargetLanguages } from '../utils/validation.js';
+import tokenService, { TOKEN_ROLES } from '../services/tokenService.js';
 import palabraAgoraService from '../services/palabraAgoraService.js';
+import uidAllocatorService from '../services/uidAllocatorService.js';
+import tokenExpiryService from '../services/tokenExpiryService.js';
+import channelPolicyService from '../services/channelPolicyService.js';
+import channelPresenceService from '../services/channelPresenceService.js';
+import authService from '../services/authService.js';
+import captionService from '../services/captionService.js';
 
 /**
- * Validate language code
- * @param {string} languageCode - Language code to validate
- * @returns {boolean} True if valid
+ * Tasks a `stop_translation` with `force: true` would stop
+ * @param {string} channel - Channel name
+ * @param {number|string|null} speakerUid - Speaker's Agora UID (every speaker in the channel when omitted)
+ * @returns {Array<Object>} Stored tasks
  */
-const isValidLanguageCode = (languageCode) => {
-  return typeof languageCode === 'string' &&
-    languageCode.length >= 2 &&
-    languageCode.length <= 5 &&
-    /^[a-z]{2}(-[A-Z]{2})?$/.test(languageCode);
+const getForceStopTargets = (channel, speakerUid) => {
+  if (speakerUid !== null && speakerUid !== undefined && speakerUid !== '') {
+    return [palabraAgoraService.getTask(channel, speakerUid)].filter(Boolean);
+  }
+  return palabraAgoraService.getChannelTasks(channel);
 };
 
 /**
- * Build Agora token data using backend generator
- * @param {string} channel
- * @param {number|undefined} preferredUid
- * @returns {{ token: string, channel: string, uid: number }}
+ * Whether a socket may change or stop a shared task for everyone (see channelPolicyService.canManageTask)
+ * @param {Object} socket - Requesting socket
+ * @param {Object} task - Stored channel task
+ * @returns {boolean} True if allowed
  */
-const buildAgoraTokenData = (channel, preferredUid) => {
-  const tokenData = tokenService.generateToken(channel, preferredUid);
-  return {
-    token: tokenData.token,
-    channel: tokenData.channel,
-    uid: tokenData.uid
+const mayManageTask = (socket, task) => (
+  channelPolicyService.canManageTask({ identity: socket.data.auth, startedBy: socket.id, task })
+);
+
+/**
+ * Notify a channel (and the requesting socket) that a speaker's translation task stopped
+ * @param {Object} socket - Socket that caused the stop
+ * @param {Object} data - { channel, speakerUid, stoppedBy }
+ */
+const emitTranslationStopped = (socket, { channel, speakerUid, stoppedBy }) => {
+  const payload = {
+    channel,
+    speakerUid,
+    status: 'stopped',
+    timestamp: new Date().toISOString()
   };
+
+  socket.to(channel).emit('translation_stopped', payload);
+  if (socket.connected) {
+    socket.emit('translation_stopped', payload);
+  }
+
+  socket.to(channel).emit('translation_session_stopped', {
+    channel,
+    speakerUid,
+    stoppedBy,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Room of the sockets subscribed to a channel's captions in one language
+ * @param {string} channel - Channel name
+ * @param {string} language - Caption language
+ * @returns {string} Room name
+ */
+const getCaptionRoom = (channel, language) => `captions:${channel}:${language}`;
+
+/**
+ * Join caption rooms of a channel
+ * The socket's caption languages are tracked per channel in `socket.data.captionLanguages`, as channel
+ * names may contain `:` and room names cannot be split back into channel and language.
+ * @param {Object} socket - Socket
+ * @param {string} channel - Channel name
+ * @param {Array<string>} languages - Languages to join
+ */
+const joinCaptionRooms = (socket, channel, languages) => {
+  if (!socket.data.captionLanguages) {
+    socket.data.captionLanguages = new Map();
+  }
+  const subscribed = socket.data.captionLanguages.get(channel) || new Set();
+  for (const language of languages) {
+    socket.join(getCaptionRoom(channel, language));
+    subscribed.add(language);
+  }
+  socket.data.captionLanguages.set(channel, subscribed);
+};
+
+/**
+ * Leave caption rooms of a channel
+ * @param {Object} socket - Socket
+ * @param {string} channel - Channel name
+ * @param {Array<string>|null} languages - Languages to leave (all when null)
+ * @returns {Array<string>} Languages left
+ */
+const leaveCaptionRooms = (socket, channel, languages = null) => {
+  const subscribed = socket.data.captionLanguages?.get(channel);
+  if (!subscribed) {
+    return [];
+  }
+
+  const left = Array.from(subscribed).filter(language => !languages || languages.includes(language));
+  for (const language of left) {
+    socket.leave(getCaptionRoom(channel, language));
+    subscribed.delete(language);
+  }
+  if (subscribed.size === 0) {
+    socket.data.captionLanguages.delete(channel);
+  }
+  return left;
 };
 
 /**
@@ -36,24 +117,176 @@ const buildAgoraTokenData = (channel, preferredUid) => {
  * @param {Object} io - Socket.IO server instance
  */
 export const setupSocketHandlers = (io) => {
+  // Relay bot token renewal outcomes to the affected channel
+  palabraAgoraService.on('task_tokens_renewed', (data) => {
+    io.to(data.channel).emit('translation_tokens_renewed', {
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  palabraAgoraService.on('task_token_renewal_failed', (data) => {
+    io.to(data.channel).emit('translation_token_renewal_failed', {
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Relay task starts to the channel (the starting socket already got the full payload)
+  palabraAgoraService.on('task_started', ({ channel, speakerUid, sourceLanguage, requestedLanguages, task, receiverTokenData, translatorTokens, palabraTask, startedBy }) => {
+    const room = startedBy ? io.to(channel).except(startedBy) : io.to(channel);
+
+    // Broadcast the translation start (with essential info) to all listeners
+    room.emit('translation_started', {
+      channel,
+      speakerUid,
+      sourceLanguage,
+      targetLanguage: requestedLanguages[0],
+      targetLanguages: task.targetLanguages,
+      translators: task.translators,
+      taskIds: task.taskIds,
+      reused: false,
+      receiverTokenData,
+      translatorTokenData: translatorTokens[requestedLanguages[0]],
+      translatorTokens,
+      palabraTask,
+      startedBy,
+      timestamp: new Date().toISOString()
+    });
+
+    // Inform others in channel
+    room.emit('translation_session_started', {
+      channel,
+      speakerUid,
+      sourceLanguage,
+      targetLanguage: requestedLanguages[0],
+      targetLanguages: task.targetLanguages,
+      translators: task.translators,
+      startedBy,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Relay explicit task stops (forced by a socket, REST or the idle channel check)
+  palabraAgoraService.on('task_stopped', ({ channel, speakerUid, stoppedBy }) => {
+    const recipients = stoppedBy ? io.to(channel).to(stoppedBy) : io.to(channel);
+    recipients.emit('translation_stopped', {
+      channel,
+      speakerUid,
+      status: 'stopped',
+      timestamp: new Date().toISOString()
+    });
+
+    (stoppedBy ? io.to(channel).except(stoppedBy) : io.to(channel)).emit('translation_session_stopped', {
+      channel,
+      speakerUid,
+      stoppedBy,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Tell the channel when a Palabra task died remotely (and whether it was restarted)
+  palabraAgoraService.on('task_failed', ({ channel, speakerUid, taskId, status, targetLanguages, restarted, newTaskId, translators, task, source }) => {
+    io.to(channel).emit('translation_task_failed', {
+      channel,
+      speakerUid,
+      taskId,
+      status,
+      targetLanguages,
+      restarted,
+      newTaskId,
+      translators,
+      remainingLanguages: task?.targetLanguages || [],
+      stopped: !task,
+      source,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Relay running-status reports Palabra pushed for a task (webhook)
+  palabraAgoraService.on('task_status_updated', ({ channel, speakerUid, taskId, status, eventType, task }) => {
+    io.to(channel).emit('translation_task_status', {
+      channel,
+      speakerUid,
+      taskId,
+      status,
+      eventType,
+      targetLanguages: task.targetLanguages,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Relay target language changes (socket or REST initiated) to the channel
+  palabraAgoraService.on('task_languages_changed', ({ channel, speakerUid, added, removed, task }) => {
+    io.to(channel).emit('translation_languages_updated', {
+      channel,
+      speakerUid,
+      added,
+      removed,
+      targetLanguages: task?.targetLanguages || [],
+      translators: task?.translators || {},
+      stopped: !task,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Relay live captions to the sockets subscribed to their channel and language
+  captionService.on('caption', (caption) => {
+    io.to(getCaptionRoom(caption.channel, caption.language))
+      .emit(caption.isFinal ? 'caption_final' : 'caption_partial', caption);
+  });
+
+  // Warn participants before the tokens we issued expire; sockets without a bound token get the
+  // warning through the channel room and match it on uid/account
+  tokenExpiryService.on('token_expiring', ({ socketId, warned, ...data }) => {
+    io.to(socketId || data.channel).emit('token_expiring', {
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+  });
+
   io.on('connection', (socket) => {
-    console.log(`Client connected: ${socket.id}`);
+    console.log(`Client connected: ${socket.id}`, { identity: socket.data.auth?.id, authType: socket.data.auth?.type });
 
     // Handle channel joining
-    socket.on('join_channel', ({ channel, uid }) => {
+    socket.on('join_channel', ({ channel, uid, language }) => {
       try {
         if (!channel) {
           socket.emit('error', { message: 'Channel name is required' });
           return;
         }
 
+        if (language !== undefined && language !== null && !isValidLanguageCode(language)) {
+          socket.emit('error', { message: `Invalid language code: ${language}` });
+          return;
+        }
+
+        // Reserve the participant's UID so bots and other users never get it
+        if (uid !== undefined && uid !== null && !Number.isNaN(Number(uid))) {
+          try {
+            uidAllocatorService.claim(channel, Number(uid), { owner: socket.id, identity: authService.getIdentityId(socket.data.auth) });
+          } catch (claimError) {
+            socket.emit('error', { message: claimError.message });
+            return;
+          }
+        }
+
         console.log(`User ${uid || 'anonymous'} joined channel: ${channel}`);
         socket.join(channel);
+        channelPresenceService.join(channel, socket.id, {
+          language,
+          uid: uid !== undefined && uid !== null && !Number.isNaN(Number(uid)) ? Number(uid) : undefined
+        });
+
+        if (uid !== undefined && uid !== null) {
+          tokenExpiryService.attachSocket(channel, uid, socket.id);
+        }
 
         // Notify the client of successful join
         socket.emit('channel_joined', {
           channel,
           uid: uid || socket.id,
+          language: language || null,
           timestamp: new Date().toISOString()
         });
 
@@ -70,6 +303,75 @@ export const setupSocketHandlers = (io) => {
       }
     });
 
+    // Handle a change of preferred chat language
+    socket.on('set_preferred_language', ({ channel, language } = {}) => {
+      if (!channel) {
+        socket.emit('error', { message: 'Channel name is required' });
+        return;
+      }
+
+      if (language !== null && !isValidLanguageCode(language)) {
+        socket.emit('error', { message: `Invalid language code: ${language}` });
+        return;
+      }
+
+      if (!channelPresenceService.setPreferredLanguage(channel, socket.id, language)) {
+        socket.emit('error', { message: `Join ${channel} before setting a preferred language` });
+        return;
+      }
+
+      socket.emit('preferred_language_updated', {
+        channel,
+        language,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle caption subscriptions (captions of every speaker in the channel, in the given languages)
+    socket.on('subscribe_captions', ({ channel, language, languages } = {}) => {
+      const requested = normalizeTargetLanguages(language, languages);
+
+      if (!channel) {
+        socket.emit('error', { message: 'Channel name is required' });
+        return;
+      }
+
+      if (requested.length === 0 || !requested.every(isValidLanguageCode)) {
+        socket.emit('error', { message: 'Valid caption languages are required' });
+        return;
+      }
+
+      if (!channelPresenceService.getMembers(channel).includes(socket.id)) {
+        socket.emit('error', { message: `Join ${channel} before subscribing to captions` });
+        return;
+      }
+
+      joinCaptionRooms(socket, channel, requested);
+
+      socket.emit('captions_subscribed', {
+        channel,
+        languages: requested,
+        source: captionService.source,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    socket.on('unsubscribe_captions', ({ channel, language, languages } = {}) => {
+      if (!channel) {
+        socket.emit('error', { message: 'Channel name is required' });
+        return;
+      }
+
+      const requested = normalizeTargetLanguages(language, languages);
+      const left = leaveCaptionRooms(socket, channel, requested.length > 0 ? requested : null);
+
+      socket.emit('captions_unsubscribed', {
+        channel,
+        languages: left,
+        timestamp: new Date().toISOString()
+      });
+    });
+
     // Handle channel leaving
     socket.on('leave_channel', ({ channel, uid }) => {
       try {
@@ -80,6 +382,10 @@ export const setupSocketHandlers = (io) => {
 
         console.log(`User ${uid || 'anonymous'} left channel: ${channel}`);
         socket.leave(channel);
+        leaveCaptionRooms(socket, channel);
+        channelPresenceService.leave(channel, socket.id);
+        uidAllocatorService.releaseOwner(socket.id, channel);
+        tokenExpiryService.forgetSocket(socket.id, channel);
 
         // Notify other users in the channel
         socket.to(channel).emit('user_left', {
@@ -94,6 +400,99 @@ export const setupSocketHandlers = (io) => {
       }
     });
 
+    // Handle token renewal (replaces the HTTP round trip on `token-privilege-will-expire`)
+    socket.on('renew_token', ({ channel, uid, account, role, tokenType, expireSeconds } = {}, ack) => {
+      const respond = typeof ack === 'function' ? ack : (payload) => socket.emit('token_renewed', payload);
+
+      try {
+        const parsedUid = uid !== undefined && uid !== null && uid !== '' ? Number(uid) : null;
+        const identity = account || parsedUid;
+
+        if (identity === null || identity === undefined) {
+          respond({
+            success: false,
+            error: 'Invalid parameters',
+            details: ['UID or account is required to renew a token']
+          });
+          return;
+        }
+
+        // Keep the role and token type that were issued for this participant unless told otherwise
+        const previous = channel ? tokenExpiryService.get(channel, identity) : null;
+        const options = {
+          role: role || previous?.role || undefined,
+          tokenType: tokenType || previous?.tokenType || undefined,
+          account: account || undefined,
+          owner: socket.id,
+          identity: authService.getIdentityId(socket.data.auth)
+        };
+
+        const validation = tokenService.validateTokenParams(channel, parsedUid, options);
+        if (!validation.isValid) {
+          respond({
+            success: false,
+            error: 'Invalid parameters',
+            details: validation.errors
+          });
+          return;
+        }
+
+        const policy = channelPolicyService.evaluate({
+          identity: socket.data.auth,
+          channel,
+          role: options.role,
+          uid: parsedUid,
+          account: options.account,
+          owner: socket.id
+        });
+        if (!policy.allowed) {
+          respond({
+            success: false,
+            error: 'Channel access denied',
+            reasons: policy.reasons
+          });
+          return;
+        }
+
+        const tokenData = tokenService.generateToken(
+          channel,
+          parsedUid,
+          expireSeconds ? parseInt(expireSeconds) : null,
+          options
+        );
+        tokenExpiryService.track(tokenData, socket.id);
+
+        logger.info('Token renewed over socket', {
+          channel,
+          uid: tokenData.uid,
+          account: tokenData.account,
+          role: tokenData.role,
+          expiresAt: tokenData.expiresAt,
+          clientId: socket.id,
+          identity: socket.data.auth?.id
+        });
+
+        respond({
+          success: true,
+          data: tokenData
+        });
+
+      } catch (error) {
+        logger.error('Error in renew_token handler', {
+          error: error.message,
+          channel,
+          uid,
+          clientId: socket.id
+        });
+
+        respond({
+          success: false,
+          error: 'Failed to renew token',
+          message: error.message
+        });
+      }
+    });
+
     // Handle translation requests with Palabra integration
     socket.on('translation_request', async ({ channel, text, sourceLanguage, targetLanguage, requestId }) => {
       try {
@@ -142,29 +541,58 @@ export const setupSocketHandlers = (io) => {
           timestamp: new Date().toISOString()
         });
 
-        // Process translation
-        const translationResult = await translationService.translateText(
+        // The requester gets the language it asked for; everyone else gets their declared language,
+        // falling back to the requested one
+        const requesterLanguage = targetLanguage || channelPresenceService.getPreferredLanguage(channel, socket.id);
+        const listenerGroups = channelPresenceService.getLanguageGroups(channel, targetLanguage || null);
+        for (const [language, socketIds] of listenerGroups) {
+          const listeners = socketIds.filter(socketId => socketId !== socket.id);
+          if (listeners.length > 0) {
+            listenerGroups.set(language, listeners);
+          } else {
+            listenerGroups.delete(language);
+          }
+        }
+
+        // Process translation, once per distinct language
+        const translations = await translationService.translateIntoLanguages(
           text,
           sourceLanguage,
-          targetLanguage
+          [requesterLanguage, ...listenerGroups.keys()],
+          { tenant: socket.data.auth?.tenant || null, channel }
         );
+        const translationResult = translations.get(requesterLanguage);
 
-        if (translationResult.success) {
-          // Send successful translation to the requester
-          socket.emit('translation_completed', {
+        // Send each group of listeners only the version in its own language
+        for (const [language, listeners] of listenerGroups) {
+          const result = translations.get(language);
+          if (!result.success) {
+            logger.warn('Translation for listeners failed', {
+              requestId: reqId,
+              channel,
+              targetLanguage: result.targetLanguage,
+              listeners: listeners.length,
+              error: result.error
+            });
+            continue;
+          }
+
+          socket.to(listeners).emit('translation_broadcast', {
             requestId: reqId,
-            ...translationResult,
+            originalText: result.originalText,
+            translatedText: result.translatedText,
+            sourceLanguage: result.sourceLanguage,
+            targetLanguage: result.targetLanguage,
+            confidence: result.confidence,
             timestamp: new Date().toISOString()
           });
+        }
 
-          // Broadcast translation to other users in the channel
-          socket.to(channel).emit('translation_broadcast', {
+        if (translationResult.success) {
+          // Send successful translation to the requester
+          socket.emit('translation_completed', {
             requestId: reqId,
-            originalText: translationResult.originalText,
-            translatedText: translationResult.translatedText,
-            sourceLanguage: translationResult.sourceLanguage,
-            targetLanguage: translationResult.targetLanguage,
-            confidence: translationResult.confidence,
+            ...translationResult,
             timestamp: new Date().toISOString()
           });
 
@@ -172,7 +600,8 @@ export const setupSocketHandlers = (io) => {
             requestId: reqId,
             channel,
             sourceLanguage: translationResult.sourceLanguage,
-            targetLanguage: translationResult.targetLanguage
+            targetLanguage: translationResult.targetLanguage,
+            listenerLanguages: Array.from(listenerGroups.keys())
           });
         } else {
           // Send error to the requester
@@ -205,11 +634,14 @@ export const setupSocketHandlers = (io) => {
     });
 
     // Handle start translation (listener-initiated flow) using Palabra Agora integration
-    socket.on('start_translation', async ({ channel, sourceLanguage, targetLanguage, channelTokenData, options = {} }) => {
+    socket.on('start_translation', async ({ channel, sourceLanguage, targetLanguage, targetLanguages, channelTokenData, options = {} }) => {
+      // Accept a list of target languages; a single `targetLanguage` is still supported
+      const requestedLanguages = normalizeTargetLanguages(targetLanguage, targetLanguages);
+
       try {
         console.log("call receievd for start translationn", channel,
           sourceLanguage,
-          targetLanguage,
+          requestedLanguages,
           options,
           channelTokenData,
           socket.id, "END");
@@ -220,32 +652,36 @@ export const setupSocketHandlers = (io) => {
         logger.info('Start translation request received', {
           channel,
           sourceLanguage,
-          targetLanguage,
+          targetLanguages: requestedLanguages,
           options,
           hasChannelTokenData: Boolean(channelTokenData),
-          clientId: socket.id
+          clientId: socket.id,
+          identity: socket.data.auth?.id
         });
 
         // Validate required parameters
-        if (!channel) {
-          socket.emit('translation_start_error', {
-            error: 'Channel name is required',
-            timestamp: new Date().toISOString()
-          });
-          return;
-        }
-
-        if (!sourceLanguage || !targetLanguage) {
+        const validation = palabraAgoraService.validateStartParams({
+          channel,
+          sourceLanguage,
+          targetLanguages: requestedLanguages
+        });
+        if (!validation.isValid) {
           socket.emit('translation_start_error', {
-            error: 'Source and target languages are required',
+            error: validation.errors[0],
+            details: validation.errors,
             timestamp: new Date().toISOString()
           });
           return;
         }
 
-        if (!isValidLanguageCode(sourceLanguage) || !isValidLanguageCode(targetLanguage)) {
+        // Without speaker token data a publisher token is minted, so the full token policy applies
+        const policy = channelTokenData
+          ? channelPolicyService.evaluateChannelAccess({ identity: socket.data.auth, channel })
+          : channelPolicyService.evaluate({ identity: socket.data.auth, channel, role: TOKEN_ROLES.PUBLISHER });
+        if (!policy.allowed) {
           socket.emit('translation_start_error', {
-            error: 'Invalid language codes provided',
+            error: 'Channel access denied',
+            reasons: policy.reasons,
             timestamp: new Date().toISOString()
           });
           return;
@@ -263,93 +699,206 @@ export const setupSocketHandlers = (io) => {
         socket.emit('translation_start_acknowledged', {
           channel,
           sourceLanguage,
-          targetLanguage,
+          targetLanguage: requestedLanguages[0],
+          targetLanguages: requestedLanguages,
           status: 'processing',
           timestamp: new Date().toISOString()
         });
 
-        // Prepare three token datasets per Palabra docs
-        // 1) channelTokenData must represent the speaker's stream (provided by client or generated if needed)
-        const finalChannelTokenData = channelTokenData && channelTokenData.token && channelTokenData.uid
-          ? { token: channelTokenData.token, channel, uid: Number(channelTokenData.uid) }
-          : buildAgoraTokenData(channel);
-
-        // 2) receiverTokenData - for Palabra to retrieve original stream
-        const receiverTokenData = buildAgoraTokenData(channel);
-
-        // 3) translatorTokenData - for Palabra to publish translated stream
-        const translatorTokenData = buildAgoraTokenData(channel);
-
-        // Call Palabra Agora integration
-        const palabraResponse = await palabraAgoraService.startTranslationTask({
+        // Token datasets per Palabra docs: 1) channelTokenData represents the speaker's stream
+        // (provided by client or generated if needed), 2) receiver and 3) per-language translator
+        // tokens are minted by the service. A speaker already being translated is shared: missing
+        // languages are added to its running task and this socket is counted as a subscriber of
+        // the requested languages. The rest of the channel is notified through `task_started`.
+        const result = await palabraAgoraService.startTask({
           channel,
-          channelTokenData: finalChannelTokenData,
-          receiverTokenData,
-          translatorTokenData,
           sourceLanguage,
-          targetLanguage,
-          srOptions: options.srOptions || {},
-          translationOptions: options.translationOptions || {}
+          targetLanguages: requestedLanguages,
+          channelTokenData,
+          options
+        }, {
+          subscriberId: socket.id,
+          startedBy: socket.id,
+          identity: authService.getIdentityId(socket.data.auth),
+          tenant: socket.data.auth?.tenant || null
         });
 
-        logger.info('palabraResponse Start', palabraResponse, "END");
+        // Listeners subscribe to the translator UID of the language they want
+        const { task } = result;
+        const speakerUid = task.speakerUid;
+        const startedPayload = {
+          channel,
+          speakerUid,
+          sourceLanguage,
+          targetLanguage: requestedLanguages[0],
+          targetLanguages: task.targetLanguages,
+          translators: task.translators,
+          taskIds: task.taskIds,
+          reused: result.reused
+        };
 
-        // Store task by channel to allow stopping later
-        try {
-          palabraAgoraService.storeTask(channel, palabraResponse);
-        } catch (e) {
-          logger.error('Failed to store Palabra task after start', { channel, error: e.message });
+        if (result.reused) {
+          socket.emit('translation_started', {
+            ...startedPayload,
+            timestamp: new Date().toISOString()
+          });
+          return;
         }
 
         // Send full info to the user who started translation
         socket.emit('translation_started', {
+          ...startedPayload,
+          receiverTokenData: result.receiverTokenData,
+          translatorTokenData: result.translatorTokens[requestedLanguages[0]],
+          translatorTokens: result.translatorTokens,
+          palabraTask: result.palabraTask,
+          timestamp: new Date().toISOString()
+        });
+
+        logger.info('Palabra Agora translation started', {
           channel,
+          speakerUid,
           sourceLanguage,
-          targetLanguage,
-          receiverTokenData,
-          translatorTokenData,
-          palabraTask: palabraResponse,
-          timestamp: new Date().toISOString()
+          targetLanguages: task.targetLanguages,
+          translators: task.translators
         });
 
-        // Also broadcast the translation start (with essential info) to all listeners
-        socket.to(channel).emit('translation_started', {
+      } catch (error) {
+        logger.error('Failed to start Palabra Agora translation', {
+          error: error.message,
           channel,
           sourceLanguage,
-          targetLanguage,
-          receiverTokenData,
-          translatorTokenData,
-          palabraTask: palabraResponse,
-          startedBy: socket.id,
+          targetLanguages: requestedLanguages,
+          clientId: socket.id
+        });
+
+        socket.emit('translation_start_error', {
+          error: 'Failed to start translation session',
+          message: error.message,
           timestamp: new Date().toISOString()
         });
+      }
+    });
+
+    // Handle adding target languages to a running translation task
+    socket.on('add_translation_language', async ({ channel, speakerUid, targetLanguage, targetLanguages } = {}) => {
+      const languages = Array.isArray(targetLanguages) ? targetLanguages : [targetLanguage].filter(Boolean);
 
-        // Inform others in channel
-        socket.to(channel).emit('translation_session_started', {
+      try {
+        logger.info('Add translation language request received', {
           channel,
-          sourceLanguage,
-          targetLanguage,
-          startedBy: socket.id,
+          targetLanguages: languages,
+          clientId: socket.id,
+          identity: socket.data.auth?.id
+        });
+
+        if (!channel || languages.length === 0) {
+          socket.emit('translation_update_error', {
+            channel,
+            error: 'Channel name and target languages are required',
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        if (!languages.every(isValidLanguageCode)) {
+          socket.emit('translation_update_error', {
+            channel,
+            error: 'Invalid language codes provided',
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        const policy = channelPolicyService.evaluateChannelAccess({ identity: socket.data.auth, channel });
+        if (!policy.allowed) {
+          socket.emit('translation_update_error', {
+            channel,
+            error: 'Channel access denied',
+            reasons: policy.reasons,
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        // The channel is notified through `translation_languages_updated`
+        const { task } = await palabraAgoraService.addTargetLanguages(channel, speakerUid, languages);
+        palabraAgoraService.subscribe(channel, task.speakerUid, languages, socket.id);
+
+      } catch (error) {
+        logger.error('Failed to add translation language', {
+          error: error.message,
+          channel,
+          targetLanguages: languages,
+          clientId: socket.id
+        });
+
+        socket.emit('translation_update_error', {
+          channel,
+          error: 'Failed to add translation language',
+          message: error.message,
           timestamp: new Date().toISOString()
         });
+      }
+    });
 
-        logger.info('Palabra Agora translation started', {
+    // Handle removing target languages from a running translation task
+    socket.on('remove_translation_language', async ({ channel, speakerUid, targetLanguage, targetLanguages } = {}) => {
+      const languages = Array.isArray(targetLanguages) ? targetLanguages : [targetLanguage].filter(Boolean);
+
+      try {
+        logger.info('Remove translation language request received', {
           channel,
-          sourceLanguage,
-          targetLanguage
+          targetLanguages: languages,
+          clientId: socket.id,
+          identity: socket.data.auth?.id
         });
 
+        if (!channel || languages.length === 0) {
+          socket.emit('translation_update_error', {
+            channel,
+            error: 'Channel name and target languages are required',
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        const policy = channelPolicyService.evaluateChannelAccess({ identity: socket.data.auth, channel });
+        if (!policy.allowed) {
+          socket.emit('translation_update_error', {
+            channel,
+            error: 'Channel access denied',
+            reasons: policy.reasons,
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        // Removing a language stops it for every listener, so only the task's starter or an admin may
+        const task = palabraAgoraService.resolveTask(channel, speakerUid);
+        if (!mayManageTask(socket, task)) {
+          socket.emit('translation_update_error', {
+            channel,
+            error: 'Only the client that started a translation task, or an admin, may change it',
+            speakerUid: task.speakerUid,
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        await palabraAgoraService.removeTargetLanguages(channel, task.speakerUid, languages);
+
       } catch (error) {
-        logger.error('Failed to start Palabra Agora translation', {
+        logger.error('Failed to remove translation language', {
           error: error.message,
           channel,
-          sourceLanguage,
-          targetLanguage,
+          targetLanguages: languages,
           clientId: socket.id
         });
 
-        socket.emit('translation_start_error', {
-          error: 'Failed to start translation session',
+        socket.emit('translation_update_error', {
+          channel,
+          error: 'Failed to remove translation language',
           message: error.message,
           timestamp: new Date().toISOString()
         });
@@ -357,11 +906,17 @@ export const setupSocketHandlers = (io) => {
     });
 
     // Handle stop translation
-    socket.on('stop_translation', async ({ channel }) => {
+    // Leaves the speaker's task (every task in the channel when speakerUid is omitted); a task is
+    // only stopped once its last subscriber is gone. `force: true` stops it for everyone.
+    socket.on('stop_translation', async ({ channel, speakerUid = null, targetLanguages = null, force = false }) => {
       try {
         logger.info('Stop translation request received', {
           channel,
-          clientId: socket.id
+          speakerUid,
+          targetLanguages,
+          force,
+          clientId: socket.id,
+          identity: socket.data.auth?.id
         });
 
         if (!channel) {
@@ -375,44 +930,81 @@ export const setupSocketHandlers = (io) => {
         // Acknowledge the request
         socket.emit('translation_stop_acknowledged', {
           channel,
+          speakerUid,
           status: 'processing',
           timestamp: new Date().toISOString()
         });
-        console.log(channel,"channel");
-
-        // Stop the Palabra Agora translation task associated with this channel
-        const success = await palabraAgoraService.stopTranslationTask(channel);
-        console.log(success,"Stop Translation success");
 
-        if (success) {
-          socket.to(channel).emit('translation_stopped', { 
-              channel, 
-              status: 'stopped', 
+        if (force) {
+          const denied = getForceStopTargets(channel, speakerUid).filter(task => !mayManageTask(socket, task));
+          if (denied.length > 0) {
+            logger.warn('Force stop refused', {
+              channel,
+              speakerUids: denied.map(task => task.speakerUid),
+              clientId: socket.id,
+              identity: socket.data.auth?.id
+            });
+            socket.emit('translation_stop_error', {
+              error: 'Only the client that started a translation task, or an admin, may force it to stop',
+              speakerUids: denied.map(task => task.speakerUid),
               timestamp: new Date().toISOString()
-             });
-          socket.emit('translation_stopped', {
-            channel,
-            status: 'stopped',
-            timestamp: new Date().toISOString()
-          });
+            });
+            return;
+          }
 
-          socket.to(channel).emit('translation_session_stopped', {
-            channel,
-            stoppedBy: socket.id,
-            timestamp: new Date().toISOString()
-          });
+          // Stop the Palabra Agora translation task(s) associated with this channel; the channel
+          // and this socket are notified through `task_stopped`
+          const success = await palabraAgoraService.stopTranslationTask(channel, speakerUid, { stoppedBy: socket.id });
 
-          logger.info('Translation session stopped successfully', {
-            channel,
-            clientId: socket.id
-          });
-        } else {
+          if (success) {
+            logger.info('Translation session stopped successfully', {
+              channel,
+              speakerUid,
+              clientId: socket.id
+            });
+          } else if (palabraAgoraService.getChannelTasks(channel).length > 0) {
+            socket.emit('translation_stop_error', {
+              error: 'Failed to stop translation task; it is still running and can be stopped again',
+              timestamp: new Date().toISOString()
+            });
+          } else {
+            socket.emit('translation_stop_error', {
+              error: 'Translation session not found or already ended',
+              timestamp: new Date().toISOString()
+            });
+          }
+          return;
+        }
+
+        const results = await palabraAgoraService.unsubscribe(channel, speakerUid, socket.id, targetLanguages);
+        if (results.length === 0) {
           socket.emit('translation_stop_error', {
-            error: 'Translation session not found or already ended',
+            error: 'Not subscribed to a translation session in this channel',
             timestamp: new Date().toISOString()
           });
+          return;
         }
 
+        for (const result of results) {
+          if (result.stopped) {
+            emitTranslationStopped(socket, { channel, speakerUid: result.speakerUid, stoppedBy: socket.id });
+          } else {
+            socket.emit('translation_stopped', {
+              channel,
+              speakerUid: result.speakerUid,
+              targetLanguages: result.left,
+              status: 'unsubscribed',
+              timestamp: new Date().toISOString()
+            });
+          }
+        }
+
+        logger.info('Translation unsubscribe processed', {
+          channel,
+          clientId: socket.id,
+          results: results.map(({ speakerUid: uid, left, removed, stopped }) => ({ speakerUid: uid, left, removed, stopped }))
+        });
+
       } catch (error) {
         logger.error('Failed to stop translation session', {
           error: error.message,
@@ -429,8 +1021,29 @@ export const setupSocketHandlers = (io) => {
     });
 
     // Handle disconnection
-    socket.on('disconnect', (reason) => {
+    socket.on('disconnect', async (reason) => {
       console.log(`Client disconnected: ${socket.id}, reason: ${reason}`);
+      uidAllocatorService.releaseOwner(socket.id);
+      tokenExpiryService.forgetSocket(socket.id);
+      channelPresenceService.leaveAll(socket.id, { reason: 'disconnect' });
+
+      // During shutdown the server stops or hands off every task itself
+      if (reason === 'server shutting down') {
+        return;
+      }
+
+      // Stop shared translation tasks this socket was the last subscriber of
+      try {
+        const results = await palabraAgoraService.unsubscribeAll(socket.id);
+        for (const result of results.filter(({ stopped }) => stopped)) {
+          emitTranslationStopped(socket, { channel: result.channel, speakerUid: result.speakerUid, stoppedBy: socket.id });
+        }
+      } catch (error) {
+        logger.error('Failed to release translation subscriptions on disconnect', {
+          error: error.message,
+          clientId: socket.id
+        });
+      }
     });
 
     // Handle errors
@@ -0,0 +1,31 @@
+/**
+ * Error names services throw, with the HTTP status and generic message they map to
+ */
+export const ERROR_TYPES = {
+  ValidationError: { status: 400, message: 'Validation error' },
+  UnauthorizedError: { status: 401, message: 'Unauthorized' },
+  ForbiddenError: { status: 403, message: 'Forbidden' },
+  NotFoundError: { status: 404, message: 'Not found' },
+  ConflictError: { status: 409, message: 'Conflict' },
+  BadGatewayError: { status: 502, message: 'Bad gateway' },
+  ServiceUnavailableError: { status: 503, message: 'Service unavailable' }
+};
+
+/**
+ * Build an error that maps to a status code by name (see ERROR_TYPES)
+ * @param {string} name - ERROR_TYPES key
+ * @param {string} message - Error message
+ * @returns {Error} Named error
+ */
+export const namedError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+/**
+ * Map a service error to an HTTP status code
+ * @param {Error} error - Error thrown by a service
+ * @returns {number} HTTP status code (500 for unnamed errors)
+ */
+export const getErrorStatus = (error) => ERROR_TYPES[error?.name]?.status || 500;
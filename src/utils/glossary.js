@@ -0,0 +1,47 @@
+// Placeholder written in place of a glossary term; the digits index the replacement list
+const placeholder = (index) => `[[${index}]]`;
+const PLACEHOLDER_PATTERN = /\[\[\s*(\d+)\s*\]\]/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Swap glossary terms in a text for placeholders the translation engine leaves alone
+ * Terms match case-insensitively on whole words, longest first.
+ * @param {string} text - Source text
+ * @param {Array<{ source: string, target: string }>} terms - Glossary terms
+ * @returns {{ text: string, replacements: Array<string> }} Protected text and the target term per placeholder
+ */
+export const protectTerms = (text, terms) => {
+  const replacements = [];
+  if (!terms || terms.length === 0) {
+    return { text, replacements };
+  }
+
+  const ordered = [...terms].sort((a, b) => b.source.length - a.source.length);
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${ordered.map(term => escapeRegExp(term.source)).join('|')})(?![\\p{L}\\p{N}])`,
+    'giu'
+  );
+  const targets = new Map(ordered.map(term => [term.source.toLowerCase(), term.target]));
+
+  const protectedText = text.replace(pattern, (match) => {
+    replacements.push(targets.get(match.toLowerCase()));
+    return placeholder(replacements.length - 1);
+  });
+
+  return { text: protectedText, replacements };
+};
+
+/**
+ * Put the target terms back in place of the placeholders left by protectTerms
+ * @param {string} text - Translated text
+ * @param {Array<string>} replacements - Target term per placeholder
+ * @returns {string} Text with glossary terms
+ */
+export const restoreTerms = (text, replacements) => {
+  if (!replacements || replacements.length === 0) {
+    return text;
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, (match, index) => replacements[Number(index)] ?? match);
+};
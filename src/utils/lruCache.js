@@ -0,0 +1,83 @@
+/**
+ * Size-bounded cache with per-entry expiry
+ * Relies on Map keeping insertion order: a hit re-inserts its entry, so the first key is always the
+ * least recently used one and is evicted when the cache is full.
+ */
+export class LruCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   * @param {number} options.ttl - Milliseconds an entry stays valid
+   */
+  constructor({ maxEntries, ttl }) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Get a value, refreshing its recency
+   * @param {string} key - Cache key
+   * @returns {*} Value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop one entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttl: this.ttl,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+export default LruCache;
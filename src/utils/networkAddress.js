@@ -0,0 +1,61 @@
+import net from 'net';
+
+// IPv4 ranges that are not reachable on the public internet: [first address, prefix length]
+const NON_PUBLIC_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (cloud metadata services)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+];
+
+const ipv4ToNumber = (address) => address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+const isNonPublicIpv4 = (address) => {
+  const value = ipv4ToNumber(address);
+  return NON_PUBLIC_IPV4_RANGES.some(([first, prefix]) => {
+    const size = 2 ** (32 - prefix);
+    const start = ipv4ToNumber(first);
+    return value >= start && value < start + size;
+  });
+};
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not publicly routable
+ * IPv4-mapped IPv6 addresses (`::ffff:10.0.0.1`) are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is not a public unicast address (or not an IP at all)
+ */
+export const isNonPublicAddress = (address) => {
+  const version = net.isIP(address);
+  if (version === 4) {
+    return isNonPublicIpv4(address);
+  }
+  if (version !== 6) {
+    return true;
+  }
+
+  const normalized = address.toLowerCase();
+  const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isNonPublicIpv4(mapped[1]);
+  }
+  // The same in hex, as the URL parser writes it (`::ffff:a00:1`)
+  const mappedHex = normalized.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isNonPublicIpv4([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  return normalized === '::' ||
+    normalized === '::1' ||
+    /^f[cd]/.test(normalized) || // unique local fc00::/7
+    /^fe[89a-f]/.test(normalized) || // link-local fe80::/10 and site-local fec0::/10
+    /^ff/.test(normalized); // multicast
+};
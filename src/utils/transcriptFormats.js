@@ -0,0 +1,63 @@
+/**
+ * Render a millisecond offset as hh:mm:ss with the given fraction separator
+ * @param {number} ms - Offset in milliseconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT and text
+ * @returns {string} Timestamp, e.g. 00:01:02,500
+ */
+const formatTimestamp = (ms, separator) => {
+  const total = Math.max(0, Math.round(ms));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+};
+
+// Cue text: speaker label, plus the language when the export mixes several
+const cueText = (segment, showLanguage) => {
+  const label = showLanguage ? `${segment.speakerUid} (${segment.language})` : `${segment.speakerUid}`;
+  return `${label}: ${segment.text}`;
+};
+
+const hasSeveralLanguages = (segments) => new Set(segments.map(segment => segment.language)).size > 1;
+
+/**
+ * Render segments as SubRip (SRT)
+ * @param {Array<Object>} segments - Segments with `start`/`end` offsets in ms, ordered by start
+ * @returns {string} SRT document
+ */
+export const toSrt = (segments) => {
+  const showLanguage = hasSeveralLanguages(segments);
+  return segments.map((segment, index) => [
+    index + 1,
+    `${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}`,
+    cueText(segment, showLanguage)
+  ].join('\n')).join('\n\n') + '\n';
+};
+
+/**
+ * Render segments as WebVTT
+ * @param {Array<Object>} segments - Segments with `start`/`end` offsets in ms, ordered by start
+ * @returns {string} WebVTT document
+ */
+export const toWebVtt = (segments) => {
+  const showLanguage = hasSeveralLanguages(segments);
+  const cues = segments.map(segment => [
+    `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}`,
+    // "-->" may not appear in cue text
+    cueText(segment, showLanguage).replace(/-->/g, '->')
+  ].join('\n'));
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+/**
+ * Render segments as plain text, one line per segment
+ * @param {Array<Object>} segments - Segments with `start` offsets in ms, ordered by start
+ * @returns {string} Text transcript
+ */
+export const toText = (segments) => {
+  const showLanguage = hasSeveralLanguages(segments);
+  return segments
+    .map(segment => `[${formatTimestamp(segment.start, '.')}] ${cueText(segment, showLanguage)}`)
+    .join('\n') + '\n';
+};
@@ -0,0 +1,23 @@
+/**
+ * Validate language code (e.g. `en`, `pt-BR`)
+ * @param {string} languageCode - Language code to validate
+ * @returns {boolean} True if valid
+ */
+export const isValidLanguageCode = (languageCode) => {
+  return typeof languageCode === 'string' &&
+    languageCode.length >= 2 &&
+    languageCode.length <= 5 &&
+    /^[a-z]{2}(-[A-Z]{2})?$/.test(languageCode);
+};
+
+/**
+ * Collect requested target languages from a `targetLanguages` list or a single `targetLanguage`
+ * @param {string} [targetLanguage] - Single language
+ * @param {Array<string>} [targetLanguages] - Language list (wins when non-empty)
+ * @returns {Array<string>} Distinct language codes
+ */
+export const normalizeTargetLanguages = (targetLanguage, targetLanguages) => {
+  return [...new Set(
+    Array.isArray(targetLanguages) && targetLanguages.length > 0 ? targetLanguages : [targetLanguage].filter(Boolean)
+  )];
+};
@@ -0,0 +1,781 @@
+// Starts the server against the bundled Palabra mock (PALABRA_MOCK=in-process), runs the token, auth,
+// channel policy, task, caption and webhook flows over HTTP and Socket.IO, then stops the server with SIGTERM.
+// Restart and renewal checks run a second instance on the next ports.
+// Exits non-zero if a check fails or the server does not start or stop cleanly.
+import { spawn } from 'child_process';
+import { createServer } from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert/strict';
+import axios from 'axios';
+import WebSocket from 'ws';
+
+const PORT = parseInt(process.env.TEST_PORT) || 18700;
+const MOCK_PORT = parseInt(process.env.TEST_MOCK_PORT) || 18790;
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const MOCK_URL = `http://127.0.0.1:${MOCK_PORT}`;
+const SECOND_PORT = PORT + 1;
+const SECOND_MOCK_PORT = MOCK_PORT + 1;
+const SECOND_URL = `http://127.0.0.1:${SECOND_PORT}`;
+const SECOND_MOCK_URL = `http://127.0.0.1:${SECOND_MOCK_PORT}`;
+const STARTUP_TIMEOUT = 15000;
+const SHUTDOWN_TIMEOUT = 15000;
+
+// `test-key` may use any channel; `acme-key` and `globex-key` are limited to their CHANNEL_TENANT_PREFIXES
+const API_KEYS = { tester: 'test-key', acme: 'acme-key', globex: 'globex-key' };
+const JWT_SECRET = 'test-jwt-secret';
+const PALABRA_WEBHOOK_SECRET = 'test-palabra-webhook-secret';
+
+const http = axios.create({ timeout: 10000, validateStatus: () => true, headers: { 'X-API-Key': API_KEYS.tester } });
+const anonymous = axios.create({ timeout: 10000, validateStatus: () => true });
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Everything the server reads from .env is overridden, so no real credentials reach the mock
+const serverEnv = {
+  ...process.env,
+  NODE_ENV: 'test',
+  PORT: String(PORT),
+  HOST: '127.0.0.1',
+  AGORA_APP_ID: process.env.AGORA_APP_ID || '0123456789abcdef0123456789abcdef',
+  AGORA_APP_CERT: process.env.AGORA_APP_CERT || '0123456789abcdef0123456789abcdef',
+  AUTH_ENABLED: 'true',
+  AUTH_API_KEYS: `${API_KEYS.tester}:tester,${API_KEYS.acme}:acme,${API_KEYS.globex}:globex`,
+  AUTH_JWT_SECRET: JWT_SECRET,
+  CHANNEL_TENANT_PREFIXES: 'acme:acme-,globex:globex-',
+  CHANNEL_ADMIN_ROLES: 'admin',
+  PERSISTENCE_DRIVER: 'memory',
+  TRANSLATION_PROVIDER: 'palabra',
+  PALABRA_MOCK: 'in-process',
+  PALABRA_MOCK_PORT: String(MOCK_PORT),
+  PALABRA_MOCK_HOST: '127.0.0.1',
+  PALABRA_MOCK_FAILURE_RATE: '0',
+  PALABRA_CLIENT_ID: 'mock-client-id',
+  PALABRA_CLIENT_SECRET: 'mock-client-secret',
+  PALABRA_API_KEY: 'mock-api-key',
+  PALABRA_RESTART_FAILED_TASKS: 'false',
+  PALABRA_TASK_STATUS_CHECK_INTERVAL: '500',
+  PALABRA_WEBHOOK_SECRET,
+  CAPTION_SOURCE: 'http',
+  WEBHOOK_ALLOW_PRIVATE_TARGETS: 'true',
+  WEBHOOK_MAX_ATTEMPTS: '2',
+  WEBHOOK_RETRY_BASE_DELAY: '100'
+};
+
+// A second instance on the next ports, with its mock (in-process, or startMock for PALABRA_MOCK=external)
+// on SECOND_MOCK_PORT
+const secondServerEnv = (overrides = {}) => ({
+  ...serverEnv,
+  PORT: String(SECOND_PORT),
+  PALABRA_MOCK_PORT: String(SECOND_MOCK_PORT),
+  ...overrides
+});
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const startTask = (body, config = {}, baseUrl = BASE_URL) => http.post(`${baseUrl}/api/translation/agora-tasks`, {
+  sourceLanguage: 'en',
+  targetLanguages: ['es'],
+  ...body
+}, config);
+
+const withKey = (apiKey) => ({ headers: { 'X-API-Key': apiKey } });
+
+const withJwt = (token) => ({ headers: { 'X-API-Key': false, Authorization: `Bearer ${token}` } });
+
+/**
+ * Sign an HS256 JWT
+ * @param {Object} claims - Payload; `exp` defaults to an hour from now
+ * @returns {string} Compact JWT
+ */
+const signJwt = (claims) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ exp: Math.floor(Date.now() / 1000) + 3600, ...claims })}`;
+  return `${body}.${crypto.createHmac('sha256', JWT_SECRET).update(body).digest('base64url')}`;
+};
+
+const hmacSignature = (secret, timestamp, rawBody) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')}`
+);
+
+const mockState = async () => (await http.get(`${MOCK_URL}/__mock/state`)).data;
+
+const setFaults = (faults) => http.post(`${MOCK_URL}/__mock/faults`, faults);
+
+const clearFaults = () => setFaults({ failureRate: 0, failureMode: '5xx', failurePaths: [] });
+
+const setRemoteStatus = (taskId, status) => http.post(`${MOCK_URL}/__mock/agora/translations/${taskId}/status`, { status });
+
+/**
+ * Poll until a check passes (status checks and other timers run in the background)
+ * @param {Function} check - Async function returning a truthy value once done
+ * @param {number} [timeout] - How long to keep polling (ms)
+ * @returns {Promise<*>} The check's result
+ */
+const waitFor = async (check, timeout = 5000) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) {
+      return result;
+    }
+    await delay(100);
+  }
+};
+
+/**
+ * Connect a minimal Socket.IO client (Engine.IO v4 over a WebSocket)
+ * @param {Object} [auth] - Handshake auth ({ apiKey } or { token })
+ * @param {string} [baseUrl] - Server URL
+ * @returns {Promise<Object>} { emit(event, data), next(event, timeout), close() }
+ */
+const connectSocket = (auth = { apiKey: API_KEYS.tester }, baseUrl = BASE_URL) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/socket.io/?EIO=4&transport=websocket`);
+  const received = []; // [event, data] nobody waited for yet
+  const waiters = [];
+
+  const client = {
+    emit: (event, data) => ws.send(`42${JSON.stringify([event, data])}`),
+    next: (event, timeout = 5000) => {
+      const index = received.findIndex(([name]) => name === event);
+      if (index !== -1) {
+        return Promise.resolve(received.splice(index, 1)[0][1]);
+      }
+      return new Promise((resolveEvent, rejectEvent) => {
+        const waiter = { event, resolve: resolveEvent };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          rejectEvent(new Error(`No ${event} within ${timeout}ms`));
+        }, timeout);
+        waiters.push(waiter);
+      });
+    },
+    close: () => ws.close()
+  };
+
+  ws.on('message', (raw) => {
+    const packet = raw.toString();
+    if (packet.startsWith('0')) {
+      ws.send(`40${JSON.stringify(auth)}`);
+    } else if (packet === '2') {
+      ws.send('3');
+    } else if (packet.startsWith('40')) {
+      resolve(client);
+    } else if (packet.startsWith('44')) {
+      reject(new Error(`Socket.IO connection refused: ${packet.slice(2)}`));
+    } else if (packet.startsWith('42')) {
+      const [event, data] = JSON.parse(packet.slice(2));
+      const waiter = waiters.find(current => current.event === event);
+      if (waiter) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(data);
+      } else {
+        received.push([event, data]);
+      }
+    }
+  });
+  ws.on('error', reject);
+});
+
+test('health check answers', async () => {
+  const res = await http.get(`${BASE_URL}/api/health`);
+  assert.equal(res.status, 200);
+  assert.equal(res.data.success, true);
+});
+
+test('issues an RTC token for a user UID', async () => {
+  const res = await http.get(`${BASE_URL}/api/token`, { params: { channel: 'test-token', uid: 1234, role: 'subscriber' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.data.data.uid, 1234);
+  assert.equal(typeof res.data.data.token, 'string');
+  assert.ok(res.data.data.token.length > 0);
+});
+
+test('issues RTC and RTM tokens together', async () => {
+  const res = await http.get(`${BASE_URL}/api/token`, { params: { channel: 'test-token', uid: 1235, tokenType: 'both' } });
+  assert.equal(res.status, 200);
+  assert.equal(typeof res.data.data.rtcToken, 'string');
+  assert.equal(typeof res.data.data.rtmToken, 'string');
+});
+
+test('rejects UIDs reserved for translation bots', async () => {
+  const res = await http.get(`${BASE_URL}/api/token`, { params: { channel: 'test-token', uid: 950000 } });
+  assert.equal(res.status, 400);
+  assert.equal(res.data.success, false);
+});
+
+test('rejects a token request without a channel', async () => {
+  const res = await http.get(`${BASE_URL}/api/token`);
+  assert.equal(res.status, 400);
+  assert.equal(res.data.success, false);
+});
+
+test('starts, lists and stops an Agora translation task', async () => {
+  const start = await startTask({ channel: 'test-tasks', targetLanguages: ['es', 'fr'] });
+  assert.equal(start.status, 201, JSON.stringify(start.data));
+  const { task } = start.data.data;
+  assert.equal(task.channel, 'test-tasks');
+  assert.equal((await mockState()).tasks.filter(remote => remote.channel === 'test-tasks').length, 1);
+
+  const get = await http.get(`${BASE_URL}/api/translation/agora-tasks/test-tasks/${task.speakerUid}`);
+  assert.equal(get.status, 200);
+  assert.deepEqual([...get.data.data.targetLanguages].sort(), ['es', 'fr']);
+
+  const stop = await http.delete(`${BASE_URL}/api/translation/agora-tasks/test-tasks`);
+  assert.equal(stop.status, 200, JSON.stringify(stop.data));
+  assert.equal(stop.data.data.allStopped, true);
+  assert.equal((await mockState()).tasks.filter(remote => remote.channel === 'test-tasks').length, 0);
+
+  const gone = await http.get(`${BASE_URL}/api/translation/agora-tasks/test-tasks/${task.speakerUid}`);
+  assert.equal(gone.status, 404);
+});
+
+test('reuses a speaker task and adds the missing language', async () => {
+  const first = await startTask({ channel: 'test-reuse', targetLanguages: ['es'] });
+  assert.equal(first.status, 201, JSON.stringify(first.data));
+  const { channelTokenData } = first.data.data;
+
+  const second = await startTask({ channel: 'test-reuse', targetLanguages: ['de'], channelTokenData });
+  assert.equal(second.status, 200, JSON.stringify(second.data));
+  assert.equal(second.data.data.reused, true);
+
+  const stop = await http.delete(`${BASE_URL}/api/translation/agora-tasks/test-reuse`);
+  assert.equal(stop.status, 200);
+});
+
+test('reports a failure when Palabra rejects task creation', async () => {
+  await setFaults({ failureRate: 1, failureMode: '5xx', failurePaths: ['/agora/translations'] });
+  try {
+    const res = await startTask({ channel: 'test-faults' });
+    assert.ok(res.status >= 500, `expected a 5xx, got ${res.status}`);
+    assert.equal(res.data.success, false);
+  } finally {
+    await clearFaults();
+  }
+
+  const list = await http.get(`${BASE_URL}/api/translation/agora-tasks/test-faults`);
+  assert.equal(list.data.data.tasks.length, 0);
+});
+
+test('keeps a task whose remote stop fails so it can be stopped again', async () => {
+  const start = await startTask({ channel: 'test-stop-faults' });
+  assert.equal(start.status, 201, JSON.stringify(start.data));
+
+  await setFaults({ failureRate: 1, failureMode: '5xx', failurePaths: ['/agora/translations'] });
+  try {
+    const failed = await http.delete(`${BASE_URL}/api/translation/agora-tasks/test-stop-faults`);
+    assert.equal(failed.status, 502, JSON.stringify(failed.data));
+  } finally {
+    await clearFaults();
+  }
+
+  const list = await http.get(`${BASE_URL}/api/translation/agora-tasks/test-stop-faults`);
+  assert.equal(list.data.data.tasks.length, 1);
+
+  const stop = await http.delete(`${BASE_URL}/api/translation/agora-tasks/test-stop-faults`);
+  assert.equal(stop.status, 200, JSON.stringify(stop.data));
+  assert.equal((await mockState()).tasks.filter(remote => remote.channel === 'test-stop-faults').length, 0);
+});
+
+test('keeps a language whose remote stop fails so it can be removed again', async () => {
+  const start = await startTask({ channel: 'test-remove-faults', targetLanguages: ['es'] });
+  assert.equal(start.status, 201, JSON.stringify(start.data));
+  const { speakerUid } = start.data.data.task;
+  const add = await http.post(`${BASE_URL}/api/translation/agora-tasks/test-remove-faults/languages`, {
+    speakerUid,
+    targetLanguages: ['de']
+  });
+  assert.equal(add.status, 200, JSON.stringify(add.data));
+
+  const languageUrl = `${BASE_URL}/api/translation/agora-tasks/test-remove-faults/languages/de`;
+  await setFaults({ failureRate: 1, failureMode: '5xx', failurePaths: ['/agora/translations'] });
+  try {
+    const failed = await http.delete(languageUrl, { params: { speakerUid } });
+    assert.equal(failed.status, 502, JSON.stringify(failed.data));
+  } finally {
+    await clearFaults();
+  }
+
+  const get = await http.get(`${BASE_URL}/api/translation/agora-tasks/test-remove-faults/${speakerUid}`);
+  assert.deepEqual([...get.data.data.targetLanguages].sort(), ['de', 'es']);
+
+  const removed = await http.delete(languageUrl, { params: { speakerUid } });
+  assert.equal(removed.status, 200, JSON.stringify(removed.data));
+  assert.deepEqual(removed.data.data.task.targetLanguages, ['es']);
+
+  const stop = await http.delete(`${BASE_URL}/api/translation/agora-tasks/test-remove-faults`);
+  assert.equal(stop.status, 200);
+});
+
+test('forgets a task Palabra reports as deleted', async () => {
+  const start = await startTask({ channel: 'test-status-gone' });
+  assert.equal(start.status, 201, JSON.stringify(start.data));
+  const [taskId] = start.data.data.task.taskIds;
+
+  await setRemoteStatus(taskId, 'deleted');
+  const gone = await waitFor(async () => {
+    const list = await http.get(`${BASE_URL}/api/translation/agora-tasks/test-status-gone`);
+    return list.data.data.tasks.length === 0;
+  });
+  assert.ok(gone, 'the status check did not drop the deleted task');
+});
+
+test('recovers from rejected OAuth tokens once the token endpoint is back', async () => {
+  await setFaults({ failureRate: 1, failureMode: '401', failurePaths: ['/oauth/token'] });
+  await http.post(`${MOCK_URL}/__mock/oauth/revoke`);
+  try {
+    const res = await http.post(`${BASE_URL}/api/translation/sessions/start`, {
+      channel: 'test-oauth',
+      sourceLanguage: 'en',
+      targetLanguage: 'es'
+    });
+    assert.ok(res.status >= 400, `expected an error while the token endpoint fails, got ${res.status}`);
+  } finally {
+    await clearFaults();
+  }
+
+  const start = await http.post(`${BASE_URL}/api/translation/sessions/start`, {
+    channel: 'test-oauth',
+    sourceLanguage: 'en',
+    targetLanguage: 'es'
+  });
+  assert.equal(start.status, 200, JSON.stringify(start.data));
+
+  const stop = await http.delete(`${BASE_URL}/api/translation/sessions/test-oauth`);
+  assert.equal(stop.status, 200, JSON.stringify(stop.data));
+});
+
+test('requires an API key or a valid JWT', async () => {
+  const params = { channel: 'test-auth', uid: 2001 };
+  const health = await anonymous.get(`${BASE_URL}/api/health`);
+  assert.equal(health.status, 200);
+
+  const missing = await anonymous.get(`${BASE_URL}/api/token`, { params });
+  assert.equal(missing.status, 401);
+  const wrongKey = await anonymous.get(`${BASE_URL}/api/token`, { params, ...withKey('wrong-key') });
+  assert.equal(wrongKey.status, 401);
+  const expired = await http.get(`${BASE_URL}/api/token`, { params, ...withJwt(signJwt({ sub: 'jwt-user', exp: 1 })) });
+  assert.equal(expired.status, 401);
+  const forged = await http.get(`${BASE_URL}/api/token`, { params, ...withJwt(`${signJwt({ sub: 'jwt-user' })}x`) });
+  assert.equal(forged.status, 401);
+
+  const jwt = await http.get(`${BASE_URL}/api/token`, { params, ...withJwt(signJwt({ sub: 'jwt-user' })) });
+  assert.equal(jwt.status, 200, JSON.stringify(jwt.data));
+  assert.equal(jwt.data.data.uid, 2001);
+});
+
+test('refuses a Socket.IO handshake without credentials', async () => {
+  await assert.rejects(connectSocket({}), /refused/);
+  const socket = await connectSocket();
+  socket.close();
+});
+
+test('limits tenants to their channel prefixes', async () => {
+  const denied = await http.get(`${BASE_URL}/api/token`, { params: { channel: 'globex-room', uid: 2101 }, ...withKey(API_KEYS.acme) });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.data.reasons[0].code, 'TENANT_PREFIX_MISMATCH');
+
+  const allowed = await http.get(`${BASE_URL}/api/token`, { params: { channel: 'acme-room', uid: 2101 }, ...withKey(API_KEYS.acme) });
+  assert.equal(allowed.status, 200, JSON.stringify(allowed.data));
+
+  const task = await startTask({ channel: 'globex-room' }, withKey(API_KEYS.acme));
+  assert.equal(task.status, 403);
+});
+
+test('keeps a UID to the identity that holds it', async () => {
+  const url = `${BASE_URL}/api/token`;
+  const first = await http.get(url, { params: { channel: 'acme-uids', uid: 3001 }, ...withKey(API_KEYS.acme) });
+  assert.equal(first.status, 200, JSON.stringify(first.data));
+
+  const taken = await http.get(url, { params: { channel: 'acme-uids', uid: 3001 } });
+  assert.equal(taken.status, 409);
+
+  const renewed = await http.get(url, { params: { channel: 'acme-uids', uid: 3001 }, ...withKey(API_KEYS.acme) });
+  assert.equal(renewed.status, 200, JSON.stringify(renewed.data));
+
+  const allocated = await http.get(url, { params: { channel: 'acme-uids' } });
+  assert.equal(allocated.status, 200);
+  assert.notEqual(allocated.data.data.uid, 3001);
+  assert.ok(allocated.data.data.uid > 0 && allocated.data.data.uid < 900000, `UID ${allocated.data.data.uid} outside the participant band`);
+});
+
+test('only lets the starter or an admin change a task\'s languages', async () => {
+  const start = await startTask({ channel: 'acme-langs', targetLanguages: ['es'] }, withKey(API_KEYS.acme));
+  assert.equal(start.status, 201, JSON.stringify(start.data));
+  const { speakerUid } = start.data.data.task;
+  const languagesUrl = `${BASE_URL}/api/translation/agora-tasks/acme-langs/languages`;
+
+  const otherAdd = await http.post(languagesUrl, { speakerUid, targetLanguages: ['fr'] });
+  assert.equal(otherAdd.status, 403);
+
+  const adminAdd = await http.post(languagesUrl, { speakerUid, targetLanguages: ['fr'] }, withJwt(signJwt({ sub: 'admin-user', roles: ['admin'] })));
+  assert.equal(adminAdd.status, 200, JSON.stringify(adminAdd.data));
+
+  const otherRemove = await http.delete(`${languagesUrl}/fr`, { params: { speakerUid } });
+  assert.equal(otherRemove.status, 403);
+
+  const ownerRemove = await http.delete(`${languagesUrl}/fr`, { params: { speakerUid }, ...withKey(API_KEYS.acme) });
+  assert.equal(ownerRemove.status, 200, JSON.stringify(ownerRemove.data));
+  assert.deepEqual(ownerRemove.data.data.task.targetLanguages, ['es']);
+
+  const stop = await http.delete(`${BASE_URL}/api/translation/agora-tasks/acme-langs`, withKey(API_KEYS.acme));
+  assert.equal(stop.status, 200, JSON.stringify(stop.data));
+});
+
+test('shares a socket task between listeners and stops it after the last one leaves', async () => {
+  const starter = await connectSocket();
+  const listener = await connectSocket({ token: signJwt({ sub: 'listener' }) });
+  const isRunning = async () => (await mockState()).tasks.some(remote => remote.channel === 'test-shared');
+  try {
+    const token = await http.get(`${BASE_URL}/api/token`, { params: { channel: 'test-shared', uid: 4001 } });
+    assert.equal(token.status, 200, JSON.stringify(token.data));
+    const channelTokenData = { token: token.data.data.token, uid: 4001 };
+
+    starter.emit('start_translation', { channel: 'test-shared', sourceLanguage: 'en', targetLanguages: ['es', 'fr'], channelTokenData });
+    const { speakerUid } = await starter.next('translation_started');
+    assert.equal(speakerUid, 4001);
+
+    // Listeners asking for the same speaker share its task
+    listener.emit('start_translation', { channel: 'test-shared', sourceLanguage: 'en', targetLanguages: ['es'], channelTokenData });
+    assert.equal((await listener.next('translation_started')).reused, true);
+
+    // Only the starter may remove a language everyone shares
+    listener.emit('remove_translation_language', { channel: 'test-shared', speakerUid, targetLanguage: 'fr' });
+    const denied = await listener.next('translation_update_error');
+    assert.match(denied.error, /Only the client that started/);
+
+    starter.emit('remove_translation_language', { channel: 'test-shared', speakerUid, targetLanguage: 'fr' });
+    const removed = await waitFor(async () => {
+      const get = await http.get(`${BASE_URL}/api/translation/agora-tasks/test-shared/${speakerUid}`);
+      return get.data.data?.targetLanguages.length === 1;
+    });
+    assert.ok(removed, 'the starter could not remove a language');
+
+    starter.close();
+    await delay(500);
+    assert.ok(await isRunning(), 'the task stopped while a listener was still subscribed');
+  } finally {
+    starter.close();
+    listener.close();
+  }
+
+  assert.ok(await waitFor(async () => !(await isRunning())), 'the task kept running after its last subscriber left');
+});
+
+test('drops a task Palabra reports as failed and deletes it remotely', async () => {
+  const start = await startTask({ channel: 'test-status-failed' });
+  assert.equal(start.status, 201, JSON.stringify(start.data));
+  const [taskId] = start.data.data.task.taskIds;
+
+  await setRemoteStatus(taskId, 'failed');
+  const dropped = await waitFor(async () => {
+    const list = await http.get(`${BASE_URL}/api/translation/agora-tasks/test-status-failed`);
+    return list.data.data.tasks.length === 0;
+  });
+  assert.ok(dropped, 'the status check did not drop the failed task');
+  assert.ok((await mockState()).tasks.every(remote => remote.task_id !== taskId));
+});
+
+test('applies signed Palabra webhooks once', async () => {
+  const start = await startTask({ channel: 'test-palabra-webhook' });
+  assert.equal(start.status, 201, JSON.stringify(start.data));
+  const [taskId] = start.data.data.task.taskIds;
+
+  const rawBody = JSON.stringify({ id: `evt-${taskId}`, type: 'task.failed', data: { task_id: taskId, status: 'failed' } });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const post = (signature) => anonymous.post(`${BASE_URL}/api/webhooks/palabra`, rawBody, {
+    headers: { 'Content-Type': 'application/json', 'X-Palabra-Timestamp': String(timestamp), 'X-Palabra-Signature': signature }
+  });
+
+  const unsigned = await post(hmacSignature('wrong-secret', timestamp, rawBody));
+  assert.equal(unsigned.status, 401);
+
+  const applied = await post(hmacSignature(PALABRA_WEBHOOK_SECRET, timestamp, rawBody));
+  assert.equal(applied.status, 200, JSON.stringify(applied.data));
+  assert.equal(applied.data.data.applied, true);
+
+  const replayed = await post(hmacSignature(PALABRA_WEBHOOK_SECRET, timestamp, rawBody));
+  assert.equal(replayed.status, 409);
+
+  const list = await http.get(`${BASE_URL}/api/translation/agora-tasks/test-palabra-webhook`);
+  assert.equal(list.data.data.tasks.length, 0);
+});
+
+test('relays pushed captions and exports them as a transcript', async () => {
+  const start = await startTask({ channel: 'test-captions', targetLanguages: ['fr'] });
+  assert.equal(start.status, 201, JSON.stringify(start.data));
+  const { speakerUid } = start.data.data.task;
+
+  const socket = await connectSocket();
+  try {
+    socket.emit('join_channel', { channel: 'test-captions' });
+    await socket.next('channel_joined');
+    socket.emit('subscribe_captions', { channel: 'test-captions', languages: ['fr'] });
+    await socket.next('captions_subscribed');
+
+    const captionsUrl = `${BASE_URL}/api/translation/captions`;
+    const caption = { channel: 'test-captions', speakerUid, language: 'fr', captionId: 'caption-1' };
+    const partial = await http.post(captionsUrl, { ...caption, text: 'Bonjour', isFinal: false });
+    assert.equal(partial.status, 202, JSON.stringify(partial.data));
+    assert.equal((await socket.next('caption_partial')).text, 'Bonjour');
+
+    const final = await http.post(captionsUrl, { ...caption, text: 'Bonjour à tous', isFinal: true });
+    assert.equal(final.status, 202, JSON.stringify(final.data));
+    assert.equal((await socket.next('caption_final')).text, 'Bonjour à tous');
+  } finally {
+    socket.close();
+  }
+
+  const transcriptUrl = `${BASE_URL}/api/translation/transcripts/test-captions`;
+  const json = await http.get(transcriptUrl);
+  assert.equal(json.status, 200, JSON.stringify(json.data));
+  assert.deepEqual(json.data.data.segments.map(segment => segment.text), ['Bonjour à tous']);
+
+  const srt = await http.get(transcriptUrl, { params: { format: 'srt' } });
+  assert.equal(srt.status, 200);
+  assert.match(srt.headers['content-type'], /application\/x-subrip/);
+  assert.match(srt.data, /00:00:\d\d,\d{3} --> 00:00:\d\d,\d{3}\n.*Bonjour à tous/);
+
+  const otherTenant = await http.get(transcriptUrl, withKey(API_KEYS.globex));
+  assert.equal(otherTenant.status, 403);
+
+  await http.delete(`${BASE_URL}/api/translation/agora-tasks/test-captions`);
+  const deleted = await http.delete(transcriptUrl);
+  assert.equal(deleted.status, 200, JSON.stringify(deleted.data));
+});
+
+test('signs webhook deliveries, dead-letters failed ones and replays them', async () => {
+  const deliveries = [];
+  let answer = 500;
+  const receiver = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      deliveries.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.writeHead(answer).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const secret = 'test-webhook-secret-0123456789';
+    const create = await http.post(`${BASE_URL}/api/webhooks/subscriptions`, {
+      url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+      events: ['translation.started'],
+      secret
+    });
+    assert.equal(create.status, 201, JSON.stringify(create.data));
+    const subscriptionId = create.data.data.id;
+
+    // Another tenant's subscription does not get this tenant's events
+    const acmeCreate = await http.post(`${BASE_URL}/api/webhooks/subscriptions`, {
+      url: `http://127.0.0.1:${receiver.address().port}/acme`,
+      events: ['translation.started'],
+      secret
+    }, withKey(API_KEYS.acme));
+    assert.equal(acmeCreate.status, 201, JSON.stringify(acmeCreate.data));
+
+    const start = await startTask({ channel: 'test-hooks' });
+    assert.equal(start.status, 201, JSON.stringify(start.data));
+
+    assert.ok(await waitFor(() => deliveries.length >= 2), 'the event was not retried');
+    const [first] = deliveries;
+    assert.equal(first.headers['x-webhook-event'], 'translation.started');
+    assert.equal(
+      first.headers['x-webhook-signature'],
+      hmacSignature(secret, first.headers['x-webhook-timestamp'], first.body)
+    );
+    assert.equal(JSON.parse(first.body).data.channel, 'test-hooks');
+
+    const deadLetters = await waitFor(async () => {
+      const list = await http.get(`${BASE_URL}/api/webhooks/dead-letters`, { params: { subscriptionId } });
+      return list.data.data.count > 0 && list.data.data.deadLetters;
+    });
+    assert.ok(deadLetters, 'the failed delivery did not reach the dead-letter list');
+
+    answer = 200;
+    const replay = await http.post(`${BASE_URL}/api/webhooks/dead-letters/${deadLetters[0].id}/replay`);
+    assert.equal(replay.status, 202, JSON.stringify(replay.data));
+    const replayed = await waitFor(() => deliveries.find((delivery, index) => index >= 2 && delivery.headers['x-webhook-id'] === first.headers['x-webhook-id']));
+    assert.ok(replayed, 'the dead letter was not delivered again');
+    assert.ok(deliveries.every(delivery => delivery.url === '/hooks'), 'another tenant got the event');
+
+    await http.delete(`${BASE_URL}/api/webhooks/subscriptions/${subscriptionId}`);
+    await http.delete(`${BASE_URL}/api/webhooks/subscriptions/${acmeCreate.data.data.id}`, withKey(API_KEYS.acme));
+  } finally {
+    await new Promise(resolve => receiver.close(resolve));
+  }
+
+  await http.delete(`${BASE_URL}/api/translation/agora-tasks/test-hooks`);
+});
+
+test('renews bot tokens on fresh translator UIDs before they expire', async () => {
+  // Every token is inside the renewal window, so each check renews it
+  const server = await startServer(secondServerEnv({
+    PALABRA_BOT_TOKEN_RENEW_BEFORE_SECONDS: '7200',
+    PALABRA_BOT_TOKEN_RENEWAL_INTERVAL: '300'
+  }));
+  try {
+    const start = await startTask({ channel: 'test-renewal' }, {}, SECOND_URL);
+    assert.equal(start.status, 201, JSON.stringify(start.data));
+    const { speakerUid, taskIds: [taskId], translators } = start.data.data.task;
+
+    const renewed = await waitFor(async () => {
+      const get = await http.get(`${SECOND_URL}/api/translation/agora-tasks/test-renewal/${speakerUid}`);
+      return get.data.data?.taskIds[0] !== taskId && get.data.data;
+    });
+    assert.ok(renewed, 'the task was not renewed');
+    assert.notEqual(renewed.translators.es, translators.es);
+
+    const tasks = (await http.get(`${SECOND_MOCK_URL}/__mock/state`)).data.tasks;
+    assert.ok(tasks.every(remote => remote.task_id !== taskId), 'the replaced task is still running');
+  } finally {
+    const { code } = await stopServer(server);
+    assert.equal(code, 0);
+  }
+});
+
+test('restores a handed-off socket task on restart and stops it once its channel stays empty', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-server-test-'));
+  const env = secondServerEnv({
+    PALABRA_MOCK: 'external',
+    PERSISTENCE_DRIVER: 'file',
+    PERSISTENCE_FILE: path.join(directory, 'state.json'),
+    SHUTDOWN_TASK_ACTION: 'handoff',
+    CHANNEL_IDLE_GRACE_PERIOD: '2000',
+    CHANNEL_IDLE_CHECK_INTERVAL: '250'
+  });
+  const mock = await startMock(SECOND_MOCK_PORT);
+  try {
+    const first = await startServer(env);
+    const socket = await connectSocket(undefined, SECOND_URL);
+    socket.emit('start_translation', { channel: 'test-restore', sourceLanguage: 'en', targetLanguages: ['es'] });
+    const started = await socket.next('translation_started');
+    // Shut down with the listener still connected, so the task is handed off rather than left
+    assert.equal((await stopServer(first)).code, 0);
+    socket.close();
+
+    const second = await startServer(env);
+    try {
+      const get = await http.get(`${SECOND_URL}/api/translation/agora-tasks/test-restore/${started.speakerUid}`);
+      assert.equal(get.status, 200, JSON.stringify(get.data));
+      assert.deepEqual(get.data.data.taskIds, started.taskIds);
+
+      // Nobody rejoins: the idle check stops it after the grace period
+      const stopped = await waitFor(async () => {
+        const tasks = (await http.get(`${SECOND_MOCK_URL}/__mock/state`)).data.tasks;
+        return tasks.every(remote => remote.channel !== 'test-restore');
+      });
+      assert.ok(stopped, 'the restored task was not stopped in the empty channel');
+    } finally {
+      await stopServer(second);
+    }
+  } finally {
+    await stopServer(mock);
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Start a Node script and wait until it answers on a URL
+ * @param {string} script - Script to run
+ * @param {Object} env - Its environment
+ * @param {string} readyUrl - URL that answers 200 once it is up
+ * @returns {Promise<Object>} { child, output, exited }
+ */
+const startProcess = async (script, env, readyUrl) => {
+  const child = spawn(process.execPath, [script], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+  const output = [];
+  child.stdout.on('data', chunk => output.push(chunk));
+  child.stderr.on('data', chunk => output.push(chunk));
+  const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve({ code, signal })));
+
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      break;
+    }
+    try {
+      const res = await anonymous.get(readyUrl, { timeout: 1000 });
+      if (res.status === 200) {
+        return { child, output, exited };
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await delay(200);
+  }
+
+  child.kill('SIGKILL');
+  await exited;
+  throw new Error(`${script} did not start:\n${Buffer.concat(output).toString()}`);
+};
+
+/**
+ * Start the server and wait until it answers health checks
+ * @param {Object} [env] - Server environment
+ * @returns {Promise<Object>} { child, output, exited }
+ */
+const startServer = (env = serverEnv) => startProcess('src/index.js', env, `http://127.0.0.1:${env.PORT}/api/health`);
+
+/**
+ * Start the Palabra mock on its own (for PALABRA_MOCK=external), so its tasks outlive server restarts
+ * @param {number} port - Mock port
+ * @returns {Promise<Object>} { child, output, exited }
+ */
+const startMock = (port) => startProcess(
+  'src/mock/palabraMockServer.js',
+  { ...serverEnv, PALABRA_MOCK_PORT: String(port) },
+  `http://127.0.0.1:${port}/__mock/state`
+);
+
+/**
+ * Stop the server with SIGTERM (SIGKILL if graceful shutdown hangs)
+ * @param {Object} server - Result of startServer
+ * @returns {Promise<Object>} { code, signal }
+ */
+const stopServer = async ({ child, exited }) => {
+  child.kill('SIGTERM');
+  const timer = setTimeout(() => child.kill('SIGKILL'), SHUTDOWN_TIMEOUT);
+  const result = await exited;
+  clearTimeout(timer);
+  return result;
+};
+
+const run = async () => {
+  const server = await startServer();
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}`);
+      console.log(`  ${error.stack.split('\n').join('\n  ')}`);
+    }
+  }
+
+  const { code, signal } = await stopServer(server);
+  if (code !== 0) {
+    failed++;
+    console.log(`not ok - server shut down cleanly (exit code ${code}, signal ${signal})`);
+  }
+
+  if (failed > 0) {
+    console.log(`\nServer output:\n${Buffer.concat(server.output).toString()}`);
+  }
+  console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+  return failed;
+};
+
+run()
+  .then(failed => process.exit(failed > 0 ? 1 : 0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });